@@ -0,0 +1,36 @@
+// ============================================================================
+// SERVICE WORKER - Forwards keyboard shortcuts to the StarRez tab
+// ============================================================================
+// Shortcuts are declared under "commands" in manifest.json and can be changed
+// at chrome://extensions/shortcuts. The content script runs the matching
+// action through the same path as its buttons.
+// ============================================================================
+
+// Lets the content script keep the duplicate guard's recent entries and the
+// "who's on desk" sign-in in session storage (memory only, shared by all
+// StarRez tabs). The access level does not outlive the browser session, and
+// this file only runs when something wakes the worker, so it is also set on
+// browser start, on install/update and when a content script asks for it
+// (src/core/session.js).
+const openSessionStorage = () => chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' });
+openSessionStorage();
+chrome.runtime.onStartup.addListener(openSessionStorage);
+chrome.runtime.onInstalled.addListener(openSessionStorage);
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab?.id) return;
+    // No content script on non-StarRez tabs - nothing to do there
+    chrome.tabs.sendMessage(tab.id, { type: 'command', command }).catch(() => {});
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type === 'open-session-storage') {
+        openSessionStorage().then(() => sendResponse(true));
+        return true;
+    }
+    if (message?.type !== 'get-shortcuts') return;
+    chrome.commands.getAll().then(commands => {
+        sendResponse(Object.fromEntries(commands.map(command => [command.name, command.shortcut])));
+    });
+    return true;
+});
@@ -0,0 +1,266 @@
+// ============================================================================
+// OPTIONS PAGE - Behaviour toggles and template editor with live preview
+// ============================================================================
+// Settings set by Chrome policy (see loadPolicy in src/core/settings.js) are
+// shown with their policy value, disabled, and left out when saving.
+// ============================================================================
+
+import { LABEL_STOCKS } from './src/core/labels.js';
+import { RESIDENCES, ROOM_FIELDS, formatRoom, validateRoomFormat } from './src/core/residences.js';
+import { NUMBER_MINIMUMS, loadPolicy, loadSettings, saveSettings } from './src/core/settings.js';
+import { SAMPLE_VALUES, TEMPLATE_FIELDS, WORKFLOW_TEMPLATES, renderTemplate, validateColumns, validateTemplate } from './src/core/templates.js';
+
+const editors = {};
+const roomFormatEditors = {};
+const TOGGLE_SETTINGS = ['previewBeforeCopy', 'debug'];
+const NUMBER_SETTINGS = Object.keys(NUMBER_MINIMUMS);
+const TIMING_LABELS = {
+    initDebounce: 'Wait after a page change before adding buttons (ms)',
+    observerDebounce: 'Wait after StarRez redraws part of the page (ms)',
+    buttonEnableDelay: 'Delay before Copy Lockout can be clicked (ms)',
+    maxValidationAttempts: 'Checks for a loading profile before giving up (every 0.5 s)'
+};
+let lockedSettings = [];
+
+function renderFieldList(listId, fields) {
+    const list = document.getElementById(listId);
+    Object.entries(fields).forEach(([key, description]) => {
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = `{${key}}`;
+        item.append(code, ` - ${description}`);
+        list.appendChild(item);
+    });
+}
+
+const parseColumns = (value) => value.split(',').map(column => column.trim().replace(/^\{|\}$/g, '')).filter(Boolean);
+
+function createTemplateEditor(workflow, template, columns) {
+    const definition = WORKFLOW_TEMPLATES[workflow];
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const title = document.createElement('h2');
+    title.textContent = definition.name;
+
+    const textarea = document.createElement('textarea');
+    textarea.dataset.setting = 'templates';
+    textarea.rows = template.split('\n').length + 1;
+    textarea.value = template;
+
+    const errors = document.createElement('ul');
+    errors.className = 'errors';
+
+    const previewLabel = document.createElement('div');
+    previewLabel.className = 'preview-label';
+    previewLabel.textContent = 'Preview (sample data)';
+
+    const preview = document.createElement('pre');
+    preview.className = 'preview';
+
+    const columnsLabel = document.createElement('div');
+    columnsLabel.className = 'preview-label';
+    columnsLabel.textContent = 'Spreadsheet columns, in order (used when copying as spreadsheet columns)';
+
+    const columnsInput = document.createElement('input');
+    columnsInput.type = 'text';
+    columnsInput.className = 'columns';
+    columnsInput.dataset.setting = 'columns';
+    columnsInput.value = columns.join(', ');
+
+    const resetButton = document.createElement('button');
+    resetButton.className = 'secondary';
+    resetButton.dataset.setting = 'templates';
+    resetButton.textContent = 'Reset to default';
+    resetButton.addEventListener('click', () => {
+        textarea.value = definition.defaultTemplate;
+        if (!columnsInput.disabled) columnsInput.value = definition.defaultColumns.join(', ');
+        update();
+    });
+
+    const update = () => {
+        const columnProblems = validateColumns(parseColumns(columnsInput.value), workflow);
+        columnsInput.classList.toggle('invalid', columnProblems.length > 0);
+        const problems = [...validateTemplate(textarea.value, workflow), ...columnProblems.map(problem => `Columns: ${problem}`)];
+        errors.replaceChildren(...problems.map(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            return item;
+        }));
+        textarea.classList.toggle('invalid', problems.length > 0);
+        preview.textContent = renderTemplate(textarea.value, SAMPLE_VALUES);
+        updateSaveButton();
+    };
+    textarea.addEventListener('input', update);
+    columnsInput.addEventListener('input', update);
+
+    card.append(title, textarea, errors, previewLabel, preview, columnsLabel, columnsInput, resetButton);
+    editors[workflow] = {
+        textarea,
+        getColumns: () => parseColumns(columnsInput.value),
+        isValid: () => validateTemplate(textarea.value, workflow).length === 0 && validateColumns(parseColumns(columnsInput.value), workflow).length === 0
+    };
+    update();
+    return card;
+}
+
+// One line per residence: format, problems, and the sample room as it will be logged
+function createRoomFormatEditor(residence, format) {
+    const definition = RESIDENCES[residence];
+    const row = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.className = 'preview-label';
+    label.textContent = `${residence} - ${definition.name}`;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'columns';
+    input.dataset.setting = 'roomFormats';
+    input.value = format;
+
+    const errors = document.createElement('ul');
+    errors.className = 'errors';
+
+    const preview = document.createElement('div');
+    preview.className = 'preview-label';
+
+    const update = () => {
+        const problems = validateRoomFormat(input.value);
+        input.classList.toggle('invalid', problems.length > 0);
+        errors.replaceChildren(...problems.map(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            return item;
+        }));
+        preview.textContent = `${definition.sampleRoom} -> ${formatRoom(definition.sampleRoom, { [residence]: input.value })}`;
+        updateSaveButton();
+    };
+    input.addEventListener('input', update);
+
+    row.append(label, input, errors, preview);
+    roomFormatEditors[residence] = { input, isValid: () => validateRoomFormat(input.value).length === 0 };
+    update();
+    return row;
+}
+
+function updateSaveButton() {
+    const saveButton = document.getElementById('save-btn');
+    saveButton.disabled = [...Object.values(editors), ...Object.values(roomFormatEditors)].some(editor => !editor.isValid());
+    saveButton.title = saveButton.disabled ? 'Fix the highlighted templates before saving' : '';
+}
+
+function renderEnabledWorkflows(enabled) {
+    document.getElementById('enabled-workflows').replaceChildren(...Object.entries(WORKFLOW_TEMPLATES).map(([workflow, definition]) => {
+        const label = document.createElement('label');
+        label.className = 'toggle';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.name = 'enabledWorkflows';
+        input.value = workflow;
+        input.dataset.setting = 'disabledWorkflows';
+        input.checked = enabled.includes(workflow);
+        label.append(input, definition.name);
+        return label;
+    }));
+}
+
+function renderTimings(timings) {
+    document.getElementById('timings').replaceChildren(...Object.entries(TIMING_LABELS).map(([key, text]) => {
+        const label = document.createElement('label');
+        label.className = 'timing';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.dataset.setting = 'timings';
+        input.dataset.timing = key;
+        input.value = timings[key];
+        label.append(input, text);
+        return label;
+    }));
+}
+
+// Disables every control of a policy-locked setting and badges its card
+function applyPolicyLocks(locked) {
+    lockedSettings = locked;
+    document.getElementById('policy-note').style.display = locked.length ? 'block' : 'none';
+    locked.forEach(key => {
+        document.querySelectorAll(`[data-setting="${key}"]`).forEach(element => {
+            element.disabled = true;
+            element.title = 'Set by your IT department (Chrome policy)';
+            const heading = element.closest('.card')?.querySelector('h2');
+            if (heading && !heading.querySelector('.locked')) {
+                const badge = document.createElement('span');
+                badge.className = 'locked';
+                badge.textContent = 'Set by policy';
+                heading.appendChild(badge);
+            }
+        });
+    });
+}
+
+async function renderShortcuts() {
+    const commands = await chrome.commands.getAll();
+    document.getElementById('shortcut-list').replaceChildren(...commands.filter(command => command.description).map(command => {
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = command.shortcut || 'Not set';
+        item.append(code, ` - ${command.description}`);
+        return item;
+    }));
+}
+
+async function save() {
+    const templates = Object.fromEntries(Object.entries(editors).map(([workflow, editor]) => [workflow, editor.textarea.value]));
+    const columns = Object.fromEntries(Object.entries(editors).map(([workflow, editor]) => [workflow, editor.getColumns()]));
+    const outputMode = document.querySelector('input[name="outputMode"]:checked').value;
+    const toggles = Object.fromEntries(TOGGLE_SETTINGS.map(key => [key, document.getElementById(key).checked]));
+    const labelStock = document.getElementById('labelStock').value;
+    const roomFormats = Object.fromEntries(Object.entries(roomFormatEditors).map(([residence, editor]) => [residence, editor.input.value.trim()]));
+    const numbers = Object.fromEntries(NUMBER_SETTINGS.map(key => [key, Math.max(NUMBER_MINIMUMS[key], Number(document.getElementById(key).value) || 0)]));
+    // Saved as the unticked ones, so workflows added in a later version start ticked
+    const disabledWorkflows = Array.from(document.querySelectorAll('input[name="enabledWorkflows"]:not(:checked)'), input => input.value);
+    const timings = Object.fromEntries(Array.from(document.querySelectorAll('[data-timing]'), input => [input.dataset.timing, Math.max(0, Number(input.value) || 0)]));
+    const readReasons = (id) => document.getElementById(id).value.split('\n').map(r => r.trim()).filter(Boolean);
+    const lockoutReasons = readReasons('lockoutReasons');
+    const returnReasons = readReasons('returnReasons');
+    const settings = { templates, columns, outputMode, lockoutReasons, returnReasons, labelStock, roomFormats, disabledWorkflows, timings, ...numbers, ...toggles };
+    lockedSettings.forEach(key => delete settings[key]);
+    await saveSettings(settings);
+    const status = document.getElementById('status');
+    status.textContent = 'Saved - open StarRez tabs pick this up immediately';
+    setTimeout(() => { status.textContent = ''; }, 3000);
+}
+
+async function init() {
+    renderFieldList('field-list', TEMPLATE_FIELDS);
+    renderFieldList('room-field-list', ROOM_FIELDS);
+    const settings = await loadSettings();
+    TOGGLE_SETTINGS.forEach(key => { document.getElementById(key).checked = settings[key]; });
+    document.querySelector(`input[name="outputMode"][value="${settings.outputMode}"]`).checked = true;
+    document.getElementById('lockoutReasons').value = settings.lockoutReasons.join('\n');
+    document.getElementById('returnReasons').value = settings.returnReasons.join('\n');
+    NUMBER_SETTINGS.forEach(key => { document.getElementById(key).value = settings[key]; });
+    renderEnabledWorkflows(settings.enabledWorkflows);
+    renderTimings(settings.timings);
+    const stockSelect = document.getElementById('labelStock');
+    Object.entries(LABEL_STOCKS).forEach(([key, stock]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = stock.name;
+        stockSelect.appendChild(option);
+    });
+    stockSelect.value = settings.labelStock;
+    const roomFormats = document.getElementById('room-formats');
+    Object.keys(RESIDENCES).forEach(residence => roomFormats.appendChild(createRoomFormatEditor(residence, settings.roomFormats[residence])));
+    const container = document.getElementById('template-editors');
+    Object.keys(WORKFLOW_TEMPLATES).forEach(workflow => {
+        container.appendChild(createTemplateEditor(workflow, settings.templates[workflow], settings.columns[workflow]));
+    });
+    applyPolicyLocks((await loadPolicy()).locked);
+    document.getElementById('save-btn').addEventListener('click', save);
+    document.getElementById('shortcuts-btn').addEventListener('click', () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' }));
+    renderShortcuts();
+}
+
+document.addEventListener('DOMContentLoaded', init);
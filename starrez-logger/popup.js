@@ -0,0 +1,123 @@
+// ============================================================================
+// TOOLBAR POPUP - Per-FDA usage dashboard
+// ============================================================================
+
+import { WORKFLOW_TEMPLATES } from './src/core/templates.js';
+import { SHIFTS, getShift, loadUsage, resetUsage, usageToCsv } from './src/telemetry/storage.js';
+
+const ALL = '__all__';
+let usage = {};
+
+const createCell = (tag, text, className) => {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    if (className) cell.className = className;
+    return cell;
+};
+
+const createOption = (value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+};
+
+// Sums counts for the selected day(s), grouped as { shift: { staff: { workflow: n } } }
+function collectCounts(day, shift) {
+    const grouped = {};
+    const days = day === ALL ? Object.keys(usage) : [day];
+    days.forEach(dateKey => {
+        Object.entries(usage[dateKey] || {}).forEach(([shiftName, byStaff]) => {
+            if (shift !== ALL && shift !== shiftName) return;
+            Object.entries(byStaff).forEach(([staff, counts]) => {
+                const target = (grouped[shiftName] ||= {})[staff] ||= {};
+                Object.entries(counts).forEach(([workflow, n]) => { target[workflow] = (target[workflow] || 0) + n; });
+            });
+        });
+    });
+    return grouped;
+}
+
+function renderTable() {
+    const day = document.getElementById('day-select').value;
+    const shift = document.getElementById('shift-select').value;
+    const grouped = collectCounts(day, shift);
+    const container = document.getElementById('usage-table');
+    const workflows = Object.keys(WORKFLOW_TEMPLATES);
+
+    const shiftNames = SHIFTS.map(s => s.name).filter(name => grouped[name]);
+    if (shiftNames.length === 0) {
+        container.replaceChildren(createCell('div', 'No buttons used yet for this selection.', 'empty'));
+        return;
+    }
+
+    const table = document.createElement('table');
+    const header = document.createElement('tr');
+    header.append(createCell('th', 'Staff'), ...workflows.map(wf => createCell('th', WORKFLOW_TEMPLATES[wf].name)), createCell('th', 'Total'));
+    table.appendChild(header);
+
+    shiftNames.forEach(shiftName => {
+        const shiftRow = document.createElement('tr');
+        shiftRow.className = 'shift-header';
+        const shiftCell = createCell('td', `${shiftName} shift`);
+        shiftCell.colSpan = workflows.length + 2;
+        shiftRow.appendChild(shiftCell);
+        table.appendChild(shiftRow);
+
+        Object.entries(grouped[shiftName]).sort(([a], [b]) => a.localeCompare(b)).forEach(([staff, counts]) => {
+            const values = workflows.map(wf => counts[wf] || 0);
+            const row = document.createElement('tr');
+            row.append(
+                createCell('td', staff),
+                ...values.map(n => createCell('td', n, 'count')),
+                createCell('td', values.reduce((a, b) => a + b, 0), 'count')
+            );
+            table.appendChild(row);
+        });
+    });
+    container.replaceChildren(table);
+}
+
+function renderFilters() {
+    const daySelect = document.getElementById('day-select');
+    const today = getShift().dateKey;
+    const days = Object.keys(usage).sort().reverse();
+    if (!days.includes(today)) days.unshift(today);
+    daySelect.replaceChildren(
+        ...days.map(dateKey => createOption(dateKey, dateKey === today ? `Today (${dateKey})` : dateKey)),
+        createOption(ALL, 'All days')
+    );
+    daySelect.value = today;
+
+    const shiftSelect = document.getElementById('shift-select');
+    shiftSelect.replaceChildren(createOption(ALL, 'All shifts'), ...SHIFTS.map(s => createOption(s.name, `${s.name} shift`)));
+}
+
+function exportCsv() {
+    const blob = new Blob([usageToCsv(usage)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `starrez-logger-usage-${getShift().dateKey}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+async function reset() {
+    if (!confirm('Reset all usage counts on this workstation? Export a CSV first if you need to keep them.')) return;
+    await resetUsage();
+    usage = {};
+    renderFilters();
+    renderTable();
+}
+
+async function init() {
+    usage = await loadUsage();
+    renderFilters();
+    renderTable();
+    document.getElementById('day-select').addEventListener('change', renderTable);
+    document.getElementById('shift-select').addEventListener('change', renderTable);
+    document.getElementById('export-btn').addEventListener('click', exportCsv);
+    document.getElementById('reset-btn').addEventListener('click', reset);
+}
+
+document.addEventListener('DOMContentLoaded', init);
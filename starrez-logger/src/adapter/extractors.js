@@ -0,0 +1,405 @@
+// ============================================================================
+// EXTRACTORS - Everything read from the StarRez page
+// ============================================================================
+// The only module that knows StarRez markup: breadcrumbs, the active tab
+// panel, profile text, report tables and the elements buttons attach to.
+// When StarRez changes its pages, this is the file to fix.
+//
+// Each student field records where it came from: the strategy that
+// matched, the DOM node holding the value, and a 0-1 confidence score.
+// The trace of every attempt is kept in state.lastExtraction for the
+// "Show sources" overlay.
+// ============================================================================
+
+import { ACTIVE_PANEL_SELECTOR, CONFIG, INJECTED_SELECTOR } from '../core/config.js';
+import { escapeRegExp, parseReportTime } from '../core/format.js';
+import { log } from '../core/logger.js';
+import { RESIDENCES } from '../core/residences.js';
+import { state } from '../core/state.js';
+
+// The open StarRez tab (profile, report...). All page reading is scoped to it.
+export const getActivePanel = () => document.querySelector(ACTIVE_PANEL_SELECTOR) || document.body;
+
+// Text as StarRez shows it; innerText keeps its line breaks. Without layout
+// (the jsdom tests) there is no innerText, so textContent stands in.
+export const getText = (element) => element.innerText ?? element.textContent;
+
+export function getStaffName() {
+    const scripts = document.querySelectorAll('script');
+    for (const script of scripts) {
+        const match = script.textContent.match(/full_name:\s*`([^`]+)`/);
+        if (match?.[1]) return match[1];
+    }
+    return null;
+}
+
+// ----------------------------------------------------------------------------
+// STUDENT DATA
+// ----------------------------------------------------------------------------
+
+const ROOM_CODE = '[A-Z0-9]+[NS]?-(?:[A-Z0-9]+-)?\\d+[a-z]';
+
+// First element whose own text contains `value` (searched within `root`)
+function findSourceNode(root, value) {
+    if (!value) return null;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        if (walker.currentNode.textContent.includes(value)) return walker.currentNode.parentElement;
+    }
+    return null;
+}
+
+function getCurrentBreadcrumbSource() {
+    const crumbs = Array.from(document.querySelectorAll('habitat-header-breadcrumb-item')).filter(crumb => {
+        const text = crumb.textContent.trim();
+        return text.includes(',') && !text.includes('Dashboard') && !text.includes('Desk');
+    });
+    if (crumbs.length === 0) return null;
+    return {
+        value: crumbs[0].textContent.trim(),
+        strategy: 'breadcrumb',
+        node: crumbs[0],
+        confidence: crumbs.length === 1 ? 0.95 : 0.6,
+        note: crumbs.length === 1 ? null : `${crumbs.length} name-like breadcrumbs - used the first`
+    };
+}
+
+export function getCurrentBreadcrumb() {
+    return getCurrentBreadcrumbSource()?.value || null;
+}
+
+// The desk being worked, from the "... Desk" breadcrumb (e.g. "UWP Front Desk")
+export function getCurrentDesk() {
+    const crumbs = Array.from(document.querySelectorAll('habitat-header-breadcrumb-item'), crumb => crumb.textContent.trim()).filter(text => /\bDesk\b/i.test(text));
+    for (const text of crumbs) {
+        const desk = Object.entries(RESIDENCES).find(([code, residence]) => new RegExp(`\\b${code}\\b`).test(text)
+            || residence.aliases.some(alias => text.toLowerCase().includes(alias.toLowerCase())));
+        if (desk) return desk[0];
+    }
+    return null;
+}
+
+function extractStudentNumberSource(containerText, container) {
+    const matches = Array.from(containerText.matchAll(/Student Number\s+(\d{8})/g), m => m[1]);
+    if (matches.length === 0) return null;
+    const distinct = new Set(matches);
+    return {
+        value: matches[0],
+        strategy: 'student-number-label',
+        node: findSourceNode(container, matches[0]),
+        confidence: distinct.size === 1 ? 0.95 : 0.5,
+        note: distinct.size === 1 ? null : `${distinct.size} different student numbers in the panel - used the first`
+    };
+}
+
+const BEDSPACE_STRATEGIES = [
+    {
+        name: 'room-pair',
+        confidence: 0.9,
+        find: (text) => text.match(new RegExp(`Room\\s+(${ROOM_CODE})\\/(${ROOM_CODE})`, 'i'))?.[2]
+    },
+    {
+        name: 'rez360-section',
+        confidence: 0.75,
+        find: (text) => text.match(/Rez 360[\s\S]*?(?=Activity|Related|$)/)?.[0].match(CONFIG.RESIDENCE_PATTERN)?.[0]
+    },
+    {
+        name: 'room-space-label',
+        confidence: 0.6,
+        find: (text) => text.match(new RegExp(`Room Space[\\s\\S]*?(${ROOM_CODE})`, 'i'))?.[1]
+    }
+];
+
+/**
+ * Tries each bedspace strategy in order and scores the winner. Confidence
+ * drops when the value is the first half of a "Room X/Y" pair (the classic
+ * wrong pick), or when the panel holds several different room codes.
+ */
+export function extractBedspaceSource(containerText, container = null) {
+    const attempts = [];
+    for (const strategy of BEDSPACE_STRATEGIES) {
+        const value = strategy.find(containerText) || null;
+        attempts.push({ strategy: strategy.name, found: !!value });
+        if (!value) continue;
+
+        let confidence = strategy.confidence;
+        const notes = [];
+        if (new RegExp(`${escapeRegExp(value)}\\/${ROOM_CODE}`, 'i').test(containerText)) {
+            confidence = Math.min(confidence, 0.3);
+            notes.push('looks like the first half of "Room X/Y"');
+        }
+        const distinctRooms = new Set(Array.from(containerText.matchAll(new RegExp(ROOM_CODE, 'gi')), m => m[0]));
+        if (distinctRooms.size > 2) {
+            confidence -= 0.15;
+            notes.push(`${distinctRooms.size} different room codes in the panel`);
+        }
+        return {
+            value,
+            strategy: strategy.name,
+            node: container ? findSourceNode(container, value) : null,
+            confidence: Math.max(confidence, 0),
+            note: notes.join('; ') || null,
+            attempts
+        };
+    }
+    return { value: null, attempts };
+}
+
+export function extractBedspace(containerText) {
+    return extractBedspaceSource(containerText).value;
+}
+
+export function getStudentDataFromRez360() {
+    const data = {};
+    const detailContainer = getActivePanel();
+    let containerText = getText(detailContainer);
+    
+    const entryIdIndex = containerText.indexOf('EntryID:');
+    if (entryIdIndex !== -1) {
+        containerText = containerText.substring(entryIdIndex);
+    }
+    
+    const trace = { at: Date.now(), entryIdFound: entryIdIndex !== -1, sources: {}, roomAttempts: [] };
+    state.lastExtraction = trace;
+    
+    const nameSource = getCurrentBreadcrumbSource();
+    trace.sources.fullName = nameSource;
+    if (!nameSource) return null;
+    data.fullName = nameSource.value;
+    
+    const numberSource = extractStudentNumberSource(containerText, detailContainer);
+    trace.sources.studentNumber = numberSource;
+    if (!numberSource) return null;
+    data.studentNumber = numberSource.value;
+    
+    const roomSource = extractBedspaceSource(containerText, detailContainer);
+    trace.roomAttempts = roomSource.attempts;
+    if (!roomSource.value) return null;
+    trace.sources.roomSpace = roomSource;
+    data.roomSpace = roomSource.value;
+    
+    data.sources = trace.sources;
+    data.confidence = Math.min(...Object.values(trace.sources).map(source => source.confidence));
+    return validateStudentData(data);
+}
+
+// Why getStudentDataFromRez360() last came back empty, worded for the FDA.
+// Profiles load in pieces, so the first missing field is usually still loading.
+export function describeMissingStudentData() {
+    const sources = state.lastExtraction?.sources || {};
+    if (!sources.fullName) return 'Student name not loaded yet';
+    if (!sources.studentNumber) return 'Student number not loaded yet';
+    if (!sources.roomSpace) return 'Room not loaded yet';
+    return 'Student details look incomplete';
+}
+
+function validateStudentData(data) {
+    if (data.fullName && CONFIG.STUDENT_NUMBER_PATTERN.test(data.studentNumber) && CONFIG.RESIDENCE_PATTERN.test(data.roomSpace)) {
+        state.lastExtracted = { ...data, timestamp: Date.now() };
+        return data;
+    }
+    return null;
+}
+
+// ----------------------------------------------------------------------------
+// KEY CODES
+// ----------------------------------------------------------------------------
+
+/**
+ * STRICT KEY EXTRACTION (v2.6)
+ * 1. Uses Regex to find Key Codes.
+ * 2. Filters out lowercase (emails/usernames).
+ * 3. Filters out the Student ID itself.
+ */
+export function extractKeyCodes(studentName, studentID) {
+    const detailContainer = getActivePanel();
+    const text = getText(detailContainer);
+    
+    // Regex finds "Label : CODE"
+    const allMatches = Array.from(text.matchAll(KEY_LABEL_PATTERN));
+    
+    // Detection for "Report Mode" (busy list)
+    const isReportMode = getReportKind(text) !== null || allMatches.length > 4;
+
+    if (isReportMode && studentID) {
+        log(`Report Mode - Filtering for ID: ${studentID}`);
+        // STRICT: Look for [StudentID] ... [Key] : [Code]
+        const strictRegex = new RegExp(`${studentID}[\\s\\S]{0,300}?(?:Bedroom|Floor|Mail|Unit|Key|LOANER)[^:\\r\\n]*:\\s*([A-Z0-9]+)`, "gi");
+        const strictMatches = Array.from(text.matchAll(strictRegex));
+        
+        if (strictMatches.length > 0) return extractUniqueCodes(strictMatches, studentID);
+        
+        // Fallback to Name
+        if (studentName) {
+            const nameRegex = new RegExp(`${escapeRegExp(studentName)}[\\s\\S]{0,300}?(?:Bedroom|Floor|Mail|Unit|Key|LOANER)[^:\\r\\n]*:\\s*([A-Z0-9]+)`, "gi");
+            const nameMatches = Array.from(text.matchAll(nameRegex));
+            if (nameMatches.length > 0) return extractUniqueCodes(nameMatches, studentID);
+        }
+        return null;
+    } 
+    
+    return extractUniqueCodes(allMatches, studentID);
+}
+
+function extractUniqueCodes(matches, studentID) {
+    if (!matches || matches.length === 0) return null;
+    const uniqueCodes = new Set();
+    matches.forEach(m => {
+        const code = m[1].trim();
+        // FILTER: Length > 2, No Lowercase (removes emails), Not Student ID
+        if (code.length > 2 && !/[a-z]/.test(code) && code !== studentID) {
+            uniqueCodes.add(code);
+        }
+    });
+    return Array.from(uniqueCodes);
+}
+
+// ----------------------------------------------------------------------------
+// ACCESS CARDS
+// ----------------------------------------------------------------------------
+
+const ACCESS_CARD_SECTION = /Access Card|Temp(?:orary)? Card/i;
+const ACCESS_CARD_PATTERN = /(?:Access|Temp(?:orary)?)\s*Card[^:\r\n]*:\s*([A-Z0-9-]+)/gi;
+
+// Temporary card numbers shown on the profile ("Temp Card : T014"), same filters as key codes
+export function extractAccessCardNumbers(studentID) {
+    const text = getText(getActivePanel());
+    return extractUniqueCodes(Array.from(text.matchAll(ACCESS_CARD_PATTERN)), studentID) || [];
+}
+
+// ----------------------------------------------------------------------------
+// REPORT PAGES (parcel and loaner-key reports)
+// ----------------------------------------------------------------------------
+
+const KEY_LABEL_PATTERN = /(?:Bedroom|Floor|Mail|Unit|Key|LOANER)[^:\r\n]*:\s*([A-Z0-9]+)/gi;
+
+// 'keys' for the Loaner Keys Report, 'parcels' for other "Entry Name ... Student Number" lists
+export function getReportKind(text) {
+    if (/Loaner Keys Report/i.test(text)) return 'keys';
+    if (/Entry Name.*Student Number/i.test(text)) return 'parcels';
+    return null;
+}
+
+function findColumn(headers, pattern) {
+    return headers.findIndex(header => pattern.test(header));
+}
+
+// Table rows -> { fullName, studentNumber, roomSpace, count, time, keyCodes }
+function parseReportTable(table) {
+    const rows = Array.from(table.rows);
+    const headerIndex = rows.findIndex(row => /Student Number/i.test(row.textContent) && /Name/i.test(row.textContent));
+    if (headerIndex === -1) return [];
+
+    const headers = Array.from(rows[headerIndex].cells, cell => cell.textContent.trim());
+    const columns = {
+        name: findColumn(headers, /Entry Name|^Name$/i),
+        number: findColumn(headers, /Student Number/i),
+        room: findColumn(headers, /Room|Bed\s*space/i),
+        count: findColumn(headers, /Count|Parcels|Qty|Quantity/i),
+        time: findColumn(headers, /Date|Time|Received|Created/i),
+        key: findColumn(headers, /Key/i)
+    };
+
+    return rows.slice(headerIndex + 1).map(row => {
+        const cells = Array.from(row.cells, cell => cell.textContent.trim());
+        const cell = (column) => (column === -1 ? '' : cells[column] || '');
+        const rowText = cells.join(' ');
+        const studentNumber = cell(columns.number).match(/\d{8}/)?.[0];
+        if (!studentNumber) return null;
+
+        const keyText = columns.key === -1 ? rowText : `Key: ${cell(columns.key)}`;
+        return {
+            fullName: cell(columns.name),
+            studentNumber,
+            roomSpace: (cell(columns.room) || rowText).match(CONFIG.RESIDENCE_PATTERN)?.[0] || null,
+            count: parseInt(cell(columns.count), 10) || 1,
+            time: parseReportTime(cell(columns.time) || rowText),
+            keyCodes: extractUniqueCodes(Array.from(keyText.matchAll(KEY_LABEL_PATTERN)), studentNumber) || []
+        };
+    }).filter(Boolean);
+}
+
+// Fallback when the report is not a <table>: one student per line of text
+function parseReportText(text) {
+    return text.split('\n').map(line => {
+        const match = line.match(/([A-Za-z'\- ]+,\s*[A-Za-z'\- ]+)\s+(\d{8})/);
+        if (!match) return null;
+        return {
+            fullName: match[1].trim(),
+            studentNumber: match[2],
+            roomSpace: line.match(CONFIG.RESIDENCE_PATTERN)?.[0] || null,
+            count: parseInt(line.match(/(\d+)\s+Parcels?/i)?.[1], 10) || 1,
+            time: parseReportTime(line),
+            keyCodes: extractUniqueCodes(Array.from(line.matchAll(KEY_LABEL_PATTERN)), match[2]) || []
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Parses every row of the visible report into one entry per student.
+ * Rows for the same student are merged: counts add up, key codes are
+ * combined and the earliest time is kept.
+ */
+export function parseReportRows() {
+    const container = getActivePanel();
+    const tableRows = Array.from(container.querySelectorAll('table')).flatMap(parseReportTable);
+    const rows = tableRows.length ? tableRows : parseReportText(getText(container));
+
+    const byStudent = new Map();
+    rows.forEach(row => {
+        const existing = byStudent.get(row.studentNumber);
+        if (!existing) { byStudent.set(row.studentNumber, { ...row }); return; }
+        existing.count += row.count;
+        existing.keyCodes = [...new Set([...existing.keyCodes, ...row.keyCodes])];
+        existing.roomSpace ||= row.roomSpace;
+        if (row.time && (!existing.time || row.time < existing.time)) existing.time = row.time;
+    });
+    return Array.from(byStudent.values()).filter(row => row.fullName && row.roomSpace);
+}
+
+// ----------------------------------------------------------------------------
+// BUTTON ANCHORS
+// ----------------------------------------------------------------------------
+
+export function findIssueButtons() {
+    return Array.from(getActivePanel().querySelectorAll('button, input[type="button"], a.button')).filter(b => b.textContent.toLowerCase().includes('issue') && !b.textContent.toLowerCase().includes('reissue'));
+}
+
+export function findParcelCount() {
+    return Array.from(getActivePanel().querySelectorAll('span')).find(s => /^\d+\s+Parcel[s]?$/i.test(s.textContent.trim()));
+}
+
+export const getParcelCount = () => parseInt(findParcelCount()?.textContent, 10) || 0;
+
+export function isProfilePage() {
+    const detailContainer = getActivePanel();
+    return /EntryID:|Rez 360/i.test(getText(detailContainer));
+}
+
+// The shortest visible element whose text matches `pattern` - the section's label, not its container.
+// Walks only the text of the active panel; the element holding a match is its text node's parent.
+function findSectionAnchor(pattern) {
+    const candidates = [];
+    const walker = document.createTreeWalker(getActivePanel(), NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const el = walker.currentNode.parentElement;
+        if (!el || !pattern.test(walker.currentNode.textContent)) continue;
+        if (el.offsetParent === null || ['SCRIPT', 'STYLE'].includes(el.tagName) || el.closest(INJECTED_SELECTOR)) continue;
+        if (el.textContent.length < 150) candidates.push(el);
+    }
+    candidates.sort((a, b) => a.textContent.length - b.textContent.length);
+    return candidates[0] || null;
+}
+
+// Look for "KEYS", "Key Code", or "Loaner"
+export const findKeysAnchor = () => findSectionAnchor(/Key Code|KEYS|LOANER/i);
+
+// Look for "Access Card" or "Temp Card"
+export const findAccessCardAnchor = () => findSectionAnchor(ACCESS_CARD_SECTION);
+
+// Usually in the profile header inside the panel; the page-wide lookup is a fallback
+export function findEntryActionsButton() {
+    const isEntryActions = el => /Entry Actions/i.test(el.textContent);
+    return Array.from(getActivePanel().querySelectorAll('button')).find(isEntryActions)
+        || Array.from(document.querySelectorAll('button')).find(isEntryActions) || null;
+}
@@ -0,0 +1,48 @@
+// ============================================================================
+// CODE 128 BARCODES - Generated locally, no network or library needed
+// ============================================================================
+// Student numbers (8 digits) are encoded in Code Set C, which packs two digits
+// per symbol and keeps the barcode short enough for small thermal labels.
+// Anything else falls back to Code Set B (printable ASCII).
+// ============================================================================
+
+// Bar/space widths for symbol values 0-106 (106 = stop pattern)
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+/**
+ * Returns the symbol values for `text`, including start, checksum and stop.
+ * Throws for characters Code 128 B cannot represent.
+ */
+function code128Symbols(text) {
+    const useSetC = /^(\d\d)+$/.test(text);
+    const start = useSetC ? CODE128_START_C : CODE128_START_B;
+    const values = useSetC
+        ? text.match(/\d\d/g).map(Number)
+        : Array.from(text, ch => {
+            const code = ch.charCodeAt(0);
+            if (code < 32 || code > 127) throw new Error(`Cannot encode "${ch}" in a Code 128 barcode`);
+            return code - 32;
+        });
+    const checksum = values.reduce((sum, value, i) => sum + value * (i + 1), start) % 103;
+    return [start, ...values, checksum, CODE128_STOP];
+}
+
+// Module string: '1' = bar, '0' = space, one character per narrowest bar width
+export function encodeCode128(text) {
+    return code128Symbols(text).map(symbol => Array.from(CODE128_PATTERNS[symbol], (width, i) => (i % 2 === 0 ? '1' : '0').repeat(Number(width))).join('')).join('');
+}
@@ -0,0 +1,21 @@
+// ============================================================================
+// CONFIG - Built-in patterns, thresholds and page selectors
+// ============================================================================
+
+// Built-in patterns and thresholds. Debug logging, timings and the rest of the
+// behaviour IST can change are settings (settings.js), read from state.settings.
+export const CONFIG = {
+    // Pattern matching
+    RESIDENCE_PATTERN: /[A-Z0-9]+[NS]?-(?:[A-Z0-9]+-)?\d+[a-z]/i,
+    STUDENT_NUMBER_PATTERN: /^\d{8}$/,
+    
+    // Timing configuration
+    CACHE_DURATION: 10000,            
+    DESK_ACTIVITY_INTERVAL: 30000,    // How often desk activity is saved
+    
+    // Extraction results scoring below this ask the FDA before copying
+    LOW_CONFIDENCE_THRESHOLD: 0.7
+};
+
+export const ACTIVE_PANEL_SELECTOR = '.ui-tabs-panel:not(.ui-tabs-hide)';
+export const INJECTED_SELECTOR = '[id^="pkg-btn-"], #pkg-master, #lockout-log-btn, #pkg-label, #batch-log-btn, #key-return-btn, #access-card-btn, #rts-btn';
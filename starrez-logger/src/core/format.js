@@ -0,0 +1,64 @@
+// ============================================================================
+// FORMAT - Pure text formatting
+// ============================================================================
+// No DOM access and no state: everything here takes its input as
+// arguments, so it runs the same in the page, the options page and tests.
+// ============================================================================
+
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export function getInitials(fullName) {
+    if (!fullName) return 'X.X';
+    if (fullName.includes(',')) {
+        const [lastName, firstName = ''] = fullName.split(',').map(p => p.trim());
+        const getInitials = (name) => name.split(/\s+/).filter(n => n.length > 0).map(n => n[0].toUpperCase()).join('');
+        return `${getInitials(firstName)}.${getInitials(lastName)}`;
+    }
+    const parts = fullName.split(/\s+/).filter(p => p.length > 0);
+    if (parts.length >= 2) {
+        const firstInitials = parts.slice(0, -1).map(n => n[0].toUpperCase()).join('');
+        const lastInitial = parts[parts.length - 1][0].toUpperCase();
+        return `${firstInitials}.${lastInitial}`;
+    }
+    return parts.map(p => p[0]).join('').toUpperCase() + '.X';
+}
+
+export function getCurrentTime(now = new Date()) {
+    const hours = now.getHours() % 12 || 12;
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    return `${hours}:${minutes} ${now.getHours() >= 12 ? 'pm' : 'am'}`;
+}
+
+export function formatDisplayName(fullName) {
+    if (!fullName.includes(',')) return fullName;
+    const [lastName, firstName] = fullName.split(',').map(p => p.trim());
+    return `${firstName} ${lastName}`;
+}
+
+export function getFormattedDateTime(now = new Date()) {
+    const hours = now.getHours() % 12 || 12;
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    return `${now.getMonth() + 1}/${now.getDate()}/${now.getFullYear()} ${hours}:${minutes}${now.getHours() >= 12 ? 'p.m.' : 'a.m.'}`;
+}
+
+export const packageValues = (count) => ({ count, pkgWord: count > 1 ? 'pkgs' : 'pkg' });
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+// One table row per entry, cells in `columns` order
+export function buildSpreadsheetOutput(columns, rows) {
+    const cells = rows.map(values => columns.map(column => String(values[column] ?? '').replace(/[\t\r\n]+/g, ' ')));
+    const html = `<table>${cells.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</table>`;
+    const tsv = cells.map(row => row.join('\t')).join('\n');
+    return { html, tsv };
+}
+
+// Accepts "1/23/2026 2:30 PM", "1/23/2026 2:30p.m." or a bare "2:30 pm" (today)
+export function parseReportTime(text) {
+    const match = text.match(/(?:(\d{1,2})\/(\d{1,2})\/(\d{4})\s+)?(\d{1,2}):(\d{2})\s*([ap])\.?m\.?/i);
+    if (!match) return null;
+    const [, month, day, year, hours, minutes, meridiem] = match;
+    const date = year ? new Date(Number(year), Number(month) - 1, Number(day)) : new Date();
+    date.setHours((Number(hours) % 12) + (/p/i.test(meridiem) ? 12 : 0), Number(minutes), 0, 0);
+    return date;
+}
@@ -0,0 +1,70 @@
+// ============================================================================
+// PACKAGE LABELS - Label stock sizes and Zebra printer (ZPL/EPL) output
+// ============================================================================
+// The label text comes from the Package Label template, one line per template
+// line, followed by a Code 128 barcode of the student number (see barcode.js).
+// ============================================================================
+
+export const LABEL_STOCKS = {
+    '4x2': { name: '4" x 2" thermal', width: 4, height: 2 },
+    '4x6': { name: '4" x 6" thermal (shipping)', width: 4, height: 6 },
+    '3.5x1.125': { name: '3.5" x 1.125" address', width: 3.5, height: 1.125 },
+    '2.25x1.25': { name: '2.25" x 1.25" thermal', width: 2.25, height: 1.25 }
+};
+
+const PRINTER_DPI = 203;
+export const LABEL_MARGIN = 0.1;         // inches on every side
+export const LABEL_BARCODE_SHARE = 0.3;  // fraction of the label height used by bars
+
+const toDots = (inches) => Math.round(inches * PRINTER_DPI);
+
+// Positions shared by the ZPL and EPL layouts, in printer dots
+function getLabelLayout(lineCount, stock) {
+    const margin = toDots(LABEL_MARGIN);
+    const barcodeHeight = Math.round(toDots(stock.height) * LABEL_BARCODE_SHARE);
+    const textArea = toDots(stock.height) - 2 * margin - barcodeHeight - toDots(0.15);
+    return {
+        margin,
+        width: toDots(stock.width),
+        height: toDots(stock.height),
+        lineHeight: Math.floor(textArea / Math.max(lineCount, 1)),
+        barcodeHeight,
+        moduleWidth: stock.width >= 3.5 ? 3 : 2
+    };
+}
+
+// ZPL treats ^ and ~ as command prefixes; they never appear in real label data
+const zplText = (text) => String(text).replace(/[\^~]/g, ' ');
+
+export function buildZpl(lines, barcodeValue, stock) {
+    const layout = getLabelLayout(lines.length, stock);
+    const fontHeight = Math.min(layout.lineHeight - 4, 48);
+    const commands = ['^XA', '^CI28', `^PW${layout.width}`, `^LL${layout.height}`];
+    lines.forEach((line, i) => {
+        commands.push(`^FO${layout.margin},${layout.margin + i * layout.lineHeight}^A0N,${fontHeight},${fontHeight}^FD${zplText(line)}^FS`);
+    });
+    const barcodeTop = layout.margin + lines.length * layout.lineHeight;
+    commands.push(`^FO${layout.margin},${barcodeTop}^BY${layout.moduleWidth}^BCN,${layout.barcodeHeight},Y,N,N^FD${zplText(barcodeValue)}^FS`);
+    commands.push('^XZ');
+    return commands.join('\n');
+}
+
+const eplText = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// EPL resident fonts 1-4 are 12, 16, 20 and 24 dots tall
+function pickEplFont(lineHeight) {
+    return [4, 3, 2].find(font => (font + 2) * 4 + 4 <= lineHeight) || 1;
+}
+
+export function buildEpl(lines, barcodeValue, stock) {
+    const layout = getLabelLayout(lines.length, stock);
+    const font = pickEplFont(layout.lineHeight);
+    const commands = ['', 'N', `q${layout.width}`, `Q${layout.height},24`];
+    lines.forEach((line, i) => {
+        commands.push(`A${layout.margin},${layout.margin + i * layout.lineHeight},0,${font},1,1,N,"${eplText(line)}"`);
+    });
+    const barcodeTop = layout.margin + lines.length * layout.lineHeight;
+    commands.push(`B${layout.margin},${barcodeTop},0,1,${layout.moduleWidth},${layout.moduleWidth},${layout.barcodeHeight},B,"${eplText(barcodeValue)}"`);
+    commands.push('P1', '');
+    return commands.join('\n');
+}
@@ -0,0 +1,37 @@
+// ============================================================================
+// LOGGER - [PKG-LOGGER] console output
+// ============================================================================
+// log() only writes when the debug setting is on; error() always does.
+// Either way the last few entries are kept, as text, for the "Report problem"
+// bundle, which redacts them before they leave the page.
+// ============================================================================
+
+import { state } from './state.js';
+
+const RECENT_LOG_SIZE = 50;
+const recentLog = [];
+
+// Text only, so no page element or student object is kept alive
+function describeArg(arg) {
+    if (arg instanceof Error) return arg.message;
+    if (typeof Element !== 'undefined' && arg instanceof Element) return `<${arg.tagName.toLowerCase()}>`;
+    if (arg === null || typeof arg !== 'object') return String(arg);
+    try { return JSON.stringify(arg); } catch (err) { return '[object]'; }
+}
+
+function remember(level, args) {
+    recentLog.push({ at: Date.now(), level, message: args.map(describeArg).join(' ') });
+    if (recentLog.length > RECENT_LOG_SIZE) recentLog.shift();
+}
+
+export const getRecentLog = () => recentLog.slice();
+
+export const log = (...args) => {
+    remember('log', args);
+    if (state.settings.debug) console.log('[PKG-LOGGER]', ...args);
+};
+
+export const error = (...args) => {
+    remember('error', args);
+    console.error('[PKG-LOGGER ERROR]', ...args);
+};
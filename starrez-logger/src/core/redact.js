@@ -0,0 +1,48 @@
+// ============================================================================
+// REDACT - Placeholders for personal data in diagnostic reports
+// ============================================================================
+// Values known to be personal (the student, staff and codes read from the
+// page) are replaced first, then anything that still looks like an email,
+// room, student number, key code or "Last, First" name. Over-redacting is
+// fine: a report is only useful for its structure.
+// ============================================================================
+
+import { escapeRegExp } from './format.js';
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+const PATTERNS = [
+    [/\b[A-Z0-9]+[NS]?-(?:[A-Z0-9]+-)?\d+[a-z]?\b/gi, '[ROOM]'],
+    [/\b\d{8}\b/g, '[STUDENT_NUMBER]'],
+    // Key and card codes mix capitals and digits (26AA21, 4471B, T014)
+    [/\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{3,}\b/g, '[CODE]'],
+    [/\d{4,}/g, '[NUMBER]'],
+    [/\b[A-Z][a-z'-]+(?: [A-Z][a-z'-]+)?, [A-Z][a-z'-]+(?: [A-Z][a-z'-]+)?\b/g, '[NAME]']
+];
+
+/**
+ * Every way a "Last, First" name can appear on the page, longest first:
+ * as written, as "First Last", and each part of two letters or more.
+ */
+export function nameVariants(fullName) {
+    if (!fullName) return [];
+    const parts = fullName.split(/[\s,]+/).filter(part => part.length > 1);
+    const [last, ...first] = fullName.split(',').map(part => part.trim());
+    const variants = [fullName, first.length ? `${first.join(' ')} ${last}` : null, ...parts];
+    return [...new Set(variants.filter(Boolean))].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Replaces personal data in `text`. `known` is a list of [values, placeholder]
+ * pairs, e.g. [[['20991234'], 'STUDENT_NUMBER'], [nameVariants(name), 'NAME']].
+ */
+export function redactText(text, known = []) {
+    let result = String(text).replace(EMAIL_PATTERN, '[EMAIL]');
+    known.forEach(([values, placeholder]) => {
+        values.filter(value => value && value.length > 1).forEach(value => {
+            result = result.replace(new RegExp(`(?<![\\w])${escapeRegExp(value)}(?![\\w])`, 'gi'), `[${placeholder}]`);
+        });
+    });
+    PATTERNS.forEach(([pattern, placeholder]) => { result = result.replace(pattern, placeholder); });
+    return result;
+}
@@ -0,0 +1,68 @@
+// ============================================================================
+// RESIDENCES - The six front desks and how their room codes break down
+// ============================================================================
+// Room codes look like UWP-BECK-204a: residence (with an optional N/S wing),
+// an optional building, the unit number (floor first) and the bed letter.
+// Each residence has its own room format, edited on the options page, used
+// wherever a template says {room}.
+// ============================================================================
+
+import { PLACEHOLDER_PATTERN, renderTemplate } from './templates.js';
+
+export const RESIDENCES = {
+    UWP: { name: 'UW Place', aliases: ['UW Place', 'University of Waterloo Place'], sampleRoom: 'UWP-BECK-204a' },
+    CLV: { name: 'Columbia Lake Village', aliases: ['Columbia Lake'], sampleRoom: 'CLV-ER-110b' },
+    MKV: { name: 'Mackenzie King Village', aliases: ['Mackenzie King'], sampleRoom: 'MKV-W-302a' },
+    V1: { name: 'Village 1', aliases: ['Village 1', 'Village One'], sampleRoom: 'V1S-E-205b' },
+    REV: { name: 'Ron Eydt Village', aliases: ['Ron Eydt'], sampleRoom: 'REVN-B-112a' },
+    MHR: { name: 'Minota Hagey Residence', aliases: ['Minota Hagey'], sampleRoom: 'MHR-214a' }
+};
+
+export const ROOM_FIELDS = {
+    code: 'Room code exactly as StarRez shows it',
+    residence: 'Residence (UWP)',
+    wing: 'North/south wing letter, if any (N)',
+    building: 'Building, if any (BECK)',
+    floor: 'Floor, from the unit number (2)',
+    unit: 'Unit number (204)',
+    bed: 'Bed letter (a)'
+};
+
+export const DEFAULT_ROOM_FORMAT = '{code}';
+
+const ROOM_CODE_PARTS = /^([A-Z0-9]+)-(?:([A-Z0-9]+)-)?(\d+)([a-z])$/i;
+
+// "UWP-BECK-204a" -> { code, residence: 'UWP', wing: '', building: 'BECK', floor: '2', unit: '204', bed: 'a' }
+export function parseRoomCode(code) {
+    const match = String(code || '').trim().match(ROOM_CODE_PARTS);
+    if (!match) return null;
+    const [, prefix, building = '', unit, bed] = match;
+    const residence = Object.keys(RESIDENCES).find(key => prefix.toUpperCase().startsWith(key)) || prefix.toUpperCase();
+    return {
+        code: match[0],
+        residence,
+        wing: prefix.slice(residence.length).toUpperCase(),
+        building: building.toUpperCase(),
+        floor: unit.length > 2 ? unit.slice(0, -2) : '',
+        unit,
+        bed
+    };
+}
+
+// Same checks as validateTemplate, against the room placeholders
+export function validateRoomFormat(format) {
+    if (typeof format !== 'string' || !format.trim()) return ['Room format is empty'];
+    const errors = [];
+    if (/[{}]/.test(format.replace(PLACEHOLDER_PATTERN, ''))) errors.push('Unmatched "{" or "}" - placeholders look like {unit}');
+    const used = [...new Set(Array.from(format.matchAll(PLACEHOLDER_PATTERN), m => m[1]))];
+    used.filter(key => !(key in ROOM_FIELDS)).forEach(key => errors.push(`Unknown placeholder {${key}}`));
+    if (!used.includes('code') && !used.includes('unit')) errors.push('Include {code} or {unit} so the room can be found');
+    return errors;
+}
+
+// Codes that don't parse are returned untouched
+export function formatRoom(code, roomFormats = {}) {
+    const parts = parseRoomCode(code);
+    if (!parts) return code;
+    return renderTemplate(roomFormats[parts.residence] || DEFAULT_ROOM_FORMAT, parts);
+}
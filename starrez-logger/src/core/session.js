@@ -0,0 +1,22 @@
+// ============================================================================
+// SESSION STORAGE - chrome.storage.session from the content script
+// ============================================================================
+// Content scripts can only use session storage after background.js has
+// opened it to them, and after a browser restart the service worker may not
+// have run yet. A refused call wakes the worker with a message, which opens
+// it, and is tried once more; if that fails too the error reaches the caller.
+// ============================================================================
+
+async function withSessionAccess(operation) {
+    try { return await operation(); }
+    catch (err) {
+        await chrome.runtime.sendMessage({ type: 'open-session-storage' });
+        return operation();
+    }
+}
+
+export const getSessionValue = (key) => withSessionAccess(() => chrome.storage.session.get(key)).then(stored => stored[key]);
+
+export const setSessionValue = (key, value) => withSessionAccess(() => chrome.storage.session.set({ [key]: value }));
+
+export const removeSessionValue = (key) => withSessionAccess(() => chrome.storage.session.remove(key));
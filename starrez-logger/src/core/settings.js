@@ -0,0 +1,117 @@
+// ============================================================================
+// SETTINGS - Shared by the content script and the options page
+// ============================================================================
+// User-editable settings live in chrome.storage.sync so every desk workstation
+// signed into the same profile picks up the same formats.
+//
+// IST can push any of these through Chrome policy (managed_schema.json). A
+// policy value is locked unless its key is listed in the policy's
+// `allowLocalOverride`, in which case it is only the default.
+// ============================================================================
+
+import { LABEL_STOCKS } from './labels.js';
+import { DEFAULT_ROOM_FORMAT, RESIDENCES, validateRoomFormat } from './residences.js';
+import { WORKFLOW_TEMPLATES, validateColumns, validateTemplate } from './templates.js';
+
+// Workflows that existed while the options page saved `enabledWorkflows`.
+// Saved settings now list the workflows turned off, so ones added later start
+// on; an old list only turned off the legacy workflows it left out.
+const LEGACY_WORKFLOWS = ['package', 'lockout', 'label'];
+
+export const OUTPUT_MODES = ['text', 'html', 'tsv'];
+
+// Lowest value each number setting accepts (as in managed_schema.json)
+export const NUMBER_MINIMUMS = { previewDurationSeconds: 1, duplicateWindowMinutes: 0, deskTimeoutMinutes: 0 };
+
+const DEFAULT_SETTINGS = {
+    debug: false,
+    enabledWorkflows: Object.keys(WORKFLOW_TEMPLATES),
+    disabledWorkflows: [],
+    templates: Object.fromEntries(Object.entries(WORKFLOW_TEMPLATES).map(([key, wf]) => [key, wf.defaultTemplate])),
+    previewBeforeCopy: false,
+    previewDurationSeconds: 4,
+    duplicateWindowMinutes: 30,
+    deskTimeoutMinutes: 15,
+    outputMode: 'text',   // 'text' | 'html' (table + plain text) | 'tsv' (table + tab-separated text)
+    columns: Object.fromEntries(Object.entries(WORKFLOW_TEMPLATES).map(([key, wf]) => [key, wf.defaultColumns])),
+    labelStock: '4x2',
+    roomFormats: Object.fromEntries(Object.keys(RESIDENCES).map(key => [key, DEFAULT_ROOM_FORMAT])),
+    lockoutReasons: ['Locked out of room', 'Lost key', 'Key left in room', 'Key not working', 'Forgot key'],
+    returnReasons: ['Not a current resident', 'Moved out', 'Refused by student', 'Not picked up in time', 'Damaged'],
+    timings: {
+        initDebounce: 300,           // ms after a page change before buttons are added
+        observerDebounce: 500,       // ms after StarRez re-renders before checking again
+        buttonEnableDelay: 200,      // ms before Copy Lockout becomes clickable
+        maxValidationAttempts: 20    // 0.5 s retries while a profile is still loading
+    }
+};
+
+// Stored values are merged over the defaults; an invalid stored template,
+// choice or number falls back to the default so a bad edit (or policy) can
+// never break logging at the desk or the options page.
+export function mergeSettings(stored = {}) {
+    const templates = { ...DEFAULT_SETTINGS.templates };
+    Object.entries(stored.templates || {}).forEach(([workflow, template]) => {
+        if (workflow in templates && validateTemplate(template, workflow).length === 0) templates[workflow] = template;
+    });
+    const columns = { ...DEFAULT_SETTINGS.columns };
+    Object.entries(stored.columns || {}).forEach(([workflow, list]) => {
+        if (workflow in columns && validateColumns(list, workflow).length === 0) columns[workflow] = list;
+    });
+    const roomFormats = { ...DEFAULT_SETTINGS.roomFormats };
+    Object.entries(stored.roomFormats || {}).forEach(([residence, format]) => {
+        if (residence in roomFormats && validateRoomFormat(format).length === 0) roomFormats[residence] = format;
+    });
+    const lockoutReasons = Array.isArray(stored.lockoutReasons) ? stored.lockoutReasons : DEFAULT_SETTINGS.lockoutReasons;
+    const returnReasons = Array.isArray(stored.returnReasons) ? stored.returnReasons : DEFAULT_SETTINGS.returnReasons;
+    const disabledWorkflows = Array.isArray(stored.disabledWorkflows) ? stored.disabledWorkflows
+        : Array.isArray(stored.enabledWorkflows) ? LEGACY_WORKFLOWS.filter(workflow => !stored.enabledWorkflows.includes(workflow))
+        : DEFAULT_SETTINGS.disabledWorkflows;
+    const enabledWorkflows = Object.keys(WORKFLOW_TEMPLATES).filter(workflow => !disabledWorkflows.includes(workflow));
+    const isCount = (value) => Number.isFinite(value) && value >= 0;
+    const timings = { ...DEFAULT_SETTINGS.timings };
+    Object.entries(stored.timings || {}).forEach(([key, value]) => {
+        if (key in timings && isCount(value)) timings[key] = value;
+    });
+    const number = (key) => (Number.isFinite(stored[key]) && stored[key] >= NUMBER_MINIMUMS[key] ? stored[key] : DEFAULT_SETTINGS[key]);
+    return {
+        ...DEFAULT_SETTINGS, ...stored, templates, columns, lockoutReasons, returnReasons, roomFormats, enabledWorkflows, timings,
+        disabledWorkflows: Object.keys(WORKFLOW_TEMPLATES).filter(workflow => !enabledWorkflows.includes(workflow)),
+        debug: stored.debug === true,
+        outputMode: OUTPUT_MODES.includes(stored.outputMode) ? stored.outputMode : DEFAULT_SETTINGS.outputMode,
+        labelStock: Object.hasOwn(LABEL_STOCKS, stored.labelStock ?? '') ? stored.labelStock : DEFAULT_SETTINGS.labelStock,
+        previewDurationSeconds: number('previewDurationSeconds'),
+        duplicateWindowMinutes: number('duplicateWindowMinutes'),
+        deskTimeoutMinutes: number('deskTimeoutMinutes')
+    };
+}
+
+/**
+ * Reads the Chrome policy for this extension. `values` are the settings it
+ * sets; `locked` lists the ones FDAs cannot override locally.
+ */
+export async function loadPolicy() {
+    let managed = {};
+    try { managed = await chrome.storage.managed.get(null); }
+    catch (err) { return { values: {}, locked: [] }; }  // No policy support (e.g. not a managed browser)
+    const allowed = Array.isArray(managed.allowLocalOverride) ? [...managed.allowLocalOverride] : [];
+    const values = Object.fromEntries(Object.entries(managed).filter(([key]) => key in DEFAULT_SETTINGS));
+    // Policy lists the workflows to show, and means exactly those: stored as
+    // the rest turned off, which also locks (or frees) the options-page ticks
+    if (Array.isArray(values.enabledWorkflows)) {
+        values.disabledWorkflows = Object.keys(WORKFLOW_TEMPLATES).filter(workflow => !values.enabledWorkflows.includes(workflow));
+        delete values.enabledWorkflows;
+        if (allowed.includes('enabledWorkflows')) allowed.push('disabledWorkflows');
+    }
+    return { values, locked: Object.keys(values).filter(key => !allowed.includes(key)) };
+}
+
+export async function loadSettings() {
+    const [stored, policy] = await Promise.all([chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS)), loadPolicy()]);
+    const local = Object.fromEntries(Object.entries(stored).filter(([key]) => !policy.locked.includes(key)));
+    return mergeSettings({ ...policy.values, ...local });
+}
+
+export async function saveSettings(partial) {
+    await chrome.storage.sync.set(partial);
+}
@@ -0,0 +1,31 @@
+// ============================================================================
+// STATE - Shared mutable state for the content script
+// ============================================================================
+// One object every module reads and writes: settings, timers, the last
+// extraction and the navigation observers. Timers are cleared by name.
+// ============================================================================
+
+import { mergeSettings } from './settings.js';
+
+export const state = {
+    lastExtracted: { name: null, studentNumber: null, roomSpace: null, timestamp: null },
+    lastBreadcrumb: null,
+    validationAttempts: 0,
+    timers: { init: null, observer: null, shiftClear: null, deskTimeout: null, panelPoll: null },
+    lastExtraction: null,
+    sourcesOverlayRedraw: null,
+    deskIdentity: null,
+    navigation: {
+        reason: 'startup', url: null, panel: null, breadcrumbs: null,
+        observers: { panel: null, tabs: null, breadcrumbs: null },
+        stats: { cycles: 0, total: 0, slowest: 0 }
+    },
+    settings: mergeSettings()
+};
+
+export const clearTimer = (timerName) => {
+    if (state.timers[timerName]) {
+        clearTimeout(state.timers[timerName]);
+        state.timers[timerName] = null;
+    }
+};
@@ -0,0 +1,128 @@
+// ============================================================================
+// LOG TEMPLATES - Shared by the content script and the options page
+// ============================================================================
+// Every workflow renders its output from a template with named placeholders,
+// e.g. "{initials} ({studentNumber}) {room}". Desk managers edit the templates
+// on the options page; the defaults below reproduce the original formats.
+// ============================================================================
+
+export const TEMPLATE_FIELDS = {
+    initials: 'Student initials (A.B)',
+    fullName: 'Student name as First Last',
+    studentNumber: '8-digit student number',
+    room: 'Room/bedspace, in the residence\'s room format',
+    residence: 'Residence code from the room (UWP)',
+    count: 'Package count',
+    pkgWord: '"pkg" or "pkgs" to match the count',
+    time: 'Time of the click (2:30 pm)',
+    dateTime: 'Date and time of the click (1/23/2026 2:30p.m.)',
+    keyCodes: 'Loaner key codes, comma-separated',
+    reason: 'Reason chosen in the picker (lockout, return to sender)',
+    cardNumber: 'Temporary access card number',
+    cardAction: '"issued" or "returned"',
+    staffInitials: 'Initials of the FDA on desk'
+};
+
+export const WORKFLOW_TEMPLATES = {
+    package: {
+        name: 'Package Log',
+        fields: ['initials', 'fullName', 'studentNumber', 'room', 'residence', 'count', 'pkgWord', 'time', 'dateTime', 'staffInitials'],
+        required: ['studentNumber'],
+        defaultTemplate: '{initials} ({studentNumber}) {room} {count} {pkgWord} @ {time} - {staffInitials}',
+        defaultColumns: ['initials', 'studentNumber', 'room', 'count', 'time', 'staffInitials']
+    },
+    lockout: {
+        name: 'Lockout Log',
+        fields: ['initials', 'fullName', 'studentNumber', 'room', 'residence', 'keyCodes', 'reason', 'time', 'dateTime', 'staffInitials'],
+        required: ['studentNumber', 'keyCodes', 'reason'],
+        defaultTemplate: '{initials} ({studentNumber}) {room} KC: {keyCodes}; {reason} - {staffInitials}',
+        defaultColumns: ['initials', 'studentNumber', 'room', 'keyCodes', 'reason', 'staffInitials']
+    },
+    label: {
+        name: 'Package Label',
+        fields: ['initials', 'fullName', 'studentNumber', 'room', 'residence', 'time', 'dateTime', 'staffInitials'],
+        required: ['studentNumber'],
+        defaultTemplate: '{dateTime}\n{studentNumber}\n{fullName}\n{room}\nFDA: {staffInitials}',
+        defaultColumns: ['dateTime', 'studentNumber', 'fullName', 'room', 'staffInitials']
+    },
+    keyReturn: {
+        name: 'Key Return Log',
+        fields: ['initials', 'fullName', 'studentNumber', 'room', 'residence', 'keyCodes', 'time', 'dateTime', 'staffInitials'],
+        required: ['studentNumber', 'keyCodes'],
+        defaultTemplate: '{initials} ({studentNumber}) {room} KC: {keyCodes} returned @ {time} - {staffInitials}',
+        defaultColumns: ['initials', 'studentNumber', 'room', 'keyCodes', 'time', 'staffInitials']
+    },
+    accessCard: {
+        name: 'Temp Access Card Log',
+        fields: ['initials', 'fullName', 'studentNumber', 'room', 'residence', 'cardNumber', 'cardAction', 'time', 'dateTime', 'staffInitials'],
+        required: ['studentNumber', 'cardNumber', 'cardAction'],
+        defaultTemplate: '{initials} ({studentNumber}) {room} Temp card {cardNumber} {cardAction} @ {time} - {staffInitials}',
+        defaultColumns: ['initials', 'studentNumber', 'room', 'cardNumber', 'cardAction', 'time', 'staffInitials']
+    },
+    returnToSender: {
+        name: 'Return to Sender Log',
+        fields: ['initials', 'fullName', 'studentNumber', 'room', 'residence', 'count', 'pkgWord', 'reason', 'time', 'dateTime', 'staffInitials'],
+        required: ['studentNumber', 'count', 'reason'],
+        defaultTemplate: '{initials} ({studentNumber}) {room} {count} {pkgWord} RTS: {reason} @ {time} - {staffInitials}',
+        defaultColumns: ['initials', 'studentNumber', 'room', 'count', 'reason', 'time', 'staffInitials']
+    }
+};
+
+// Sample student used for the live preview on the options page
+export const SAMPLE_VALUES = {
+    initials: 'A.B',
+    fullName: 'Anay Baid',
+    studentNumber: '20990921',
+    room: 'UWP-BECK-204a',
+    residence: 'UWP',
+    count: 2,
+    pkgWord: 'pkgs',
+    time: '2:30 pm',
+    dateTime: '1/23/2026 2:30p.m.',
+    keyCodes: '26AA21, 26AA22',
+    reason: 'Locked out of room',
+    cardNumber: 'T014',
+    cardAction: 'issued',
+    staffInitials: 'J.D'
+};
+
+export const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+export function renderTemplate(template, values) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Returns a list of human-readable problems with a template (empty = valid).
+ * Catches stray braces, placeholders the workflow cannot fill, and missing
+ * required placeholders such as the student number.
+ */
+export function validateTemplate(template, workflow) {
+    const definition = WORKFLOW_TEMPLATES[workflow];
+    if (!definition) return [`Unknown workflow "${workflow}"`];
+    if (typeof template !== 'string' || !template.trim()) return ['Template is empty'];
+
+    const errors = [];
+    const stripped = template.replace(PLACEHOLDER_PATTERN, '');
+    if (/[{}]/.test(stripped)) errors.push('Unmatched "{" or "}" - placeholders look like {room}');
+
+    const used = [...new Set(Array.from(template.matchAll(PLACEHOLDER_PATTERN), m => m[1]))];
+    used.filter(key => !definition.fields.includes(key)).forEach(key => {
+        errors.push(key in TEMPLATE_FIELDS
+            ? `{${key}} is not available in the ${definition.name} template`
+            : `Unknown placeholder {${key}}`);
+    });
+    definition.required.filter(key => !used.includes(key)).forEach(key => {
+        errors.push(`Missing required placeholder {${key}}`);
+    });
+    return errors;
+}
+
+// Spreadsheet column order: any of the workflow's placeholders, each at most once
+export function validateColumns(columns, workflow) {
+    const definition = WORKFLOW_TEMPLATES[workflow];
+    if (!Array.isArray(columns) || columns.length === 0) return ['Choose at least one column'];
+    const errors = columns.filter(key => !definition.fields.includes(key)).map(key => `"${key}" is not a ${definition.name} placeholder`);
+    if (new Set(columns).size !== columns.length) errors.push('Each column can only appear once');
+    return errors;
+}
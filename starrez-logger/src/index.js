@@ -0,0 +1,10 @@
+// ============================================================================
+// ENTRY POINT - Loaded by loader.js on every StarRez page
+// ============================================================================
+// Starts the content script: settings, page detection and button injection,
+// desk sign-in and the shortcut and palette listeners (see runtime/init.js).
+// ============================================================================
+
+import { start } from './runtime/init.js';
+
+start();
@@ -0,0 +1,10 @@
+// ============================================================================
+// LOADER - The content script Chrome injects
+// ============================================================================
+// Content scripts cannot be ES modules, so this classic script imports
+// src/index.js (listed in web_accessible_resources). The modules still run in
+// the content script's isolated world, with the same chrome.* APIs.
+// ============================================================================
+
+import(chrome.runtime.getURL('src/index.js'))
+    .catch(err => console.error('[PKG-LOGGER ERROR] Loading the logger failed:', err));
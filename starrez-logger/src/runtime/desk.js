@@ -0,0 +1,79 @@
+// ============================================================================
+// DESK IDENTITY (shared-workstation sign-in)
+// ============================================================================
+// Several FDAs often share one StarRez login. The active identity lives in
+// chrome.storage.session so every StarRez tab agrees on it, and is dropped
+// after `deskTimeoutMinutes` without a click or key press. Recently used
+// names are kept per workstation (chrome.storage.local) for one-click sign-in.
+// ============================================================================
+
+import { CONFIG } from '../core/config.js';
+import { getInitials } from '../core/format.js';
+import { error, log } from '../core/logger.js';
+import { getSessionValue, removeSessionValue, setSessionValue } from '../core/session.js';
+import { clearTimer, state } from '../core/state.js';
+import { renderDeskBadge } from '../ui/desk.js';
+
+export const DESK_IDENTITY_KEY = 'deskIdentity';
+export const DESK_ROSTER_KEY = 'deskRoster';
+const DESK_ROSTER_SIZE = 8;
+
+// "Jane Doe", "Doe, Jane" or initials like "J.D"
+export function parseDeskIdentity(text) {
+    const value = text.trim().replace(/\s+/g, ' ');
+    if (/^[a-z]+\.[a-z]+$/i.test(value)) return { name: value.toUpperCase(), initials: value.toUpperCase() };
+    if (value.split(/[\s,]+/).filter(Boolean).length < 2) return null;
+    return { name: value, initials: getInitials(value) };
+}
+
+const isDeskIdentityExpired = (identity) => !!state.settings.deskTimeoutMinutes && Date.now() - identity.lastActive > state.settings.deskTimeoutMinutes * 60000;
+
+export function applyDeskIdentity(identity) {
+    clearTimer('deskTimeout');
+    if (identity && isDeskIdentityExpired(identity)) {
+        log(`Desk sign-in for ${identity.initials} timed out`);
+        removeSessionValue(DESK_IDENTITY_KEY).catch(err => error('Desk sign-out failed:', err));
+        identity = null;
+    }
+    state.deskIdentity = identity;
+    if (identity && state.settings.deskTimeoutMinutes) {
+        const expiresIn = identity.lastActive + state.settings.deskTimeoutMinutes * 60000 - Date.now();
+        state.timers.deskTimeout = setTimeout(() => applyDeskIdentity(state.deskIdentity), expiresIn + 1000);
+    }
+    renderDeskBadge();
+}
+
+export async function loadDeskIdentity() {
+    applyDeskIdentity(await getSessionValue(DESK_IDENTITY_KEY) || null);
+}
+
+// Resolves false when other tabs could not be told, so the sign-in only
+// applies to this one
+export async function signInToDesk(identity) {
+    const now = Date.now();
+    const active = { ...identity, signedInAt: now, lastActive: now };
+    const shared = await setSessionValue(DESK_IDENTITY_KEY, active).then(() => true, err => { error('Sharing desk sign-in failed:', err); return false; });
+    applyDeskIdentity(active);
+    const stored = await chrome.storage.local.get(DESK_ROSTER_KEY);
+    const roster = [identity, ...(stored[DESK_ROSTER_KEY] || []).filter(entry => entry.name !== identity.name)].slice(0, DESK_ROSTER_SIZE);
+    await chrome.storage.local.set({ [DESK_ROSTER_KEY]: roster });
+    log(`Signed in to desk as ${identity.initials}`);
+    return shared;
+}
+
+export async function signOutOfDesk() {
+    await removeSessionValue(DESK_IDENTITY_KEY);
+    applyDeskIdentity(null);
+    log('Signed out of desk - using the StarRez login');
+}
+
+// Clicks and key presses keep the sign-in alive; written at most every
+// DESK_ACTIVITY_INTERVAL so other tabs see the activity too
+export function noteDeskActivity() {
+    const identity = state.deskIdentity;
+    if (!identity) return;
+    if (isDeskIdentityExpired(identity)) { applyDeskIdentity(identity); return; }
+    if (Date.now() - identity.lastActive < CONFIG.DESK_ACTIVITY_INTERVAL) return;
+    state.deskIdentity = { ...identity, lastActive: Date.now() };
+    setSessionValue(DESK_IDENTITY_KEY, state.deskIdentity).catch(err => error('Desk activity update failed:', err));
+}
@@ -0,0 +1,117 @@
+// ============================================================================
+// INITIALIZATION - Startup and the button injection cycle
+// ============================================================================
+
+import { getActivePanel, getCurrentBreadcrumb, getReportKind, getText } from '../adapter/extractors.js';
+import { error, log } from '../core/logger.js';
+import { loadSettings } from '../core/settings.js';
+import { clearTimer, state } from '../core/state.js';
+import { DESK_IDENTITY_KEY, applyDeskIdentity, loadDeskIdentity, noteDeskActivity } from './desk.js';
+import { onNavigationSignal, requestIdle, watchActivePanel } from './observer.js';
+import { clearOldButtons, createLogButtons } from '../ui/buttons.js';
+import { renderDeskBadge } from '../ui/desk.js';
+import { openCommandPalette } from '../ui/palette.js';
+import { hideSourcesOverlay } from '../ui/sources.js';
+import { injectStyles } from '../ui/styles.js';
+import { scheduleShiftClear } from '../workflows/guards.js';
+import { runAction } from '../workflows/runner.js';
+
+// Debug readout: how long each injection cycle took and what triggered it
+function reportCycle(duration, reason) {
+    const stats = state.navigation.stats;
+    stats.cycles++;
+    stats.total += duration;
+    stats.slowest = Math.max(stats.slowest, duration);
+    log(`Cycle ${stats.cycles} (${reason}): ${duration.toFixed(1)} ms`);
+
+    let readout = document.getElementById('logger-cycle-readout');
+    if (!state.settings.debug) { readout?.remove(); return; }
+    if (!readout) {
+        readout = document.createElement('div');
+        readout.id = 'logger-cycle-readout';
+        readout.style.cssText = 'position: fixed; bottom: 20px; right: 20px; z-index: 9999; background: rgba(0,0,0,0.7); color: white; font-family: monospace; font-size: 11px; padding: 4px 8px; border-radius: 4px; pointer-events: none;';
+        document.body.appendChild(readout);
+    }
+    readout.textContent = `Logger: ${duration.toFixed(1)} ms (${reason}) - avg ${(stats.total / stats.cycles).toFixed(1)} ms, max ${stats.slowest.toFixed(1)} ms over ${stats.cycles} cycles`;
+}
+
+export function initialize() {
+    clearTimer('init');
+    state.timers.init = setTimeout(() => requestIdle(runInjectionCycle), state.settings.timings.initDebounce);
+}
+
+function runInjectionCycle() {
+    const started = performance.now();
+    const reason = state.navigation.reason;
+    state.navigation.reason = 'retry';
+    if (location.href !== state.navigation.url) log(`URL changed: ${state.navigation.url} -> ${location.href}`);
+    state.navigation.url = location.href;
+    watchActivePanel();
+
+    const currentBreadcrumb = getCurrentBreadcrumb();
+    
+    // LOOP FIX: Only clear buttons if the STUDENT actually changes.
+    if (currentBreadcrumb && currentBreadcrumb !== state.lastBreadcrumb) {
+        log('New profile detected - Refreshing buttons');
+        clearOldButtons();
+        state.lastBreadcrumb = currentBreadcrumb;
+    }
+
+    const container = getActivePanel();
+    if (!getText(container).includes('EntryID:') && !getReportKind(getText(container)) && state.validationAttempts < state.settings.timings.maxValidationAttempts) {
+        state.validationAttempts++;
+        setTimeout(initialize, 500); 
+    } else {
+        state.validationAttempts = 0;
+        createLogButtons();
+        renderDeskBadge();
+    }
+    reportCycle(performance.now() - started, reason);
+}
+
+export function start() {
+    scheduleShiftClear();
+    // Buttons wait for the settings so disabled workflows never flash up
+    loadSettings().then(settings => { state.settings = settings; log('StarRez Package Logger v2.6 Loaded - settings loaded'); })
+        .catch(err => error('Loading settings failed - using defaults:', err))
+        .then(() => {
+            if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', initialize);
+            else initialize();
+            ['popstate', 'hashchange'].forEach(type => window.addEventListener(type, () => onNavigationSignal(type)));
+            window.navigation?.addEventListener('navigatesuccess', () => onNavigationSignal('navigation'));
+            return loadDeskIdentity();
+        })
+        .catch(err => error('Startup failed:', err));
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'sync' || area === 'managed') {
+            loadSettings().then(settings => {
+                state.settings = settings;
+                log('Settings updated');
+                applyDeskIdentity(state.deskIdentity);
+                // Enabled workflows may have changed
+                clearOldButtons();
+                initialize();
+            }).catch(err => error('Reloading settings failed - keeping the previous ones:', err));
+        }
+        if (area === 'session' && changes[DESK_IDENTITY_KEY]) applyDeskIdentity(changes[DESK_IDENTITY_KEY].newValue || null);
+    });
+
+    // Extension commands (chrome://extensions/shortcuts) arrive from background.js
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message?.type !== 'command') return;
+        if (message.command === 'open-palette') openCommandPalette();
+        else runAction(message.command);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && state.sourcesOverlayRedraw) hideSourcesOverlay();
+        if (e.ctrlKey && e.shiftKey && !e.altKey && e.code === 'KeyL') {
+            e.preventDefault();
+            e.stopPropagation();
+            openCommandPalette();
+        }
+    }, true);
+
+    ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, noteDeskActivity, { capture: true, passive: true }));
+    injectStyles();
+}
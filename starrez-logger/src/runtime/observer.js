@@ -0,0 +1,83 @@
+// ============================================================================
+// NAVIGATION DETECTION
+// ============================================================================
+// Instead of watching every mutation on the page, the logger listens for the
+// signals that mean "something worth re-checking happened":
+//   - URL changes (Navigation API, back/forward, hash changes)
+//   - breadcrumb changes (a different student or desk)
+//   - tab switches (a .ui-tabs-panel added, removed, shown or hidden)
+//   - content loading inside the active panel only
+// Each signal is debounced, and the injection work runs in idle time.
+// ============================================================================
+
+import { ACTIVE_PANEL_SELECTOR, INJECTED_SELECTOR } from '../core/config.js';
+import { clearTimer, state } from '../core/state.js';
+import { initialize } from './init.js';
+import { clearOldButtons } from '../ui/buttons.js';
+
+const PANEL_POLL_INTERVAL = 1000;
+const IDLE_TIMEOUT = 1000;
+
+export const requestIdle = (callback) => (window.requestIdleCallback ? requestIdleCallback(callback, { timeout: IDLE_TIMEOUT }) : setTimeout(callback, 0));
+
+export function onNavigationSignal(reason) {
+    state.navigation.reason = reason;
+    clearTimer('observer');
+    state.timers.observer = setTimeout(initialize, state.settings.timings.observerDebounce);
+}
+
+// Our own buttons changing (added, flashing "Copied!") is not a page change
+const isInjectedMutation = (record) => !!record.target.closest?.(INJECTED_SELECTOR)
+    || [...record.addedNodes, ...record.removedNodes].every(node => node.nodeType === Node.ELEMENT_NODE && node.matches(INJECTED_SELECTOR));
+
+// StarRez is still loading its tabs - check back without observing the whole page
+function pollForPanel() {
+    clearTimer('panelPoll');
+    state.timers.panelPoll = setTimeout(() => {
+        if (document.querySelector(ACTIVE_PANEL_SELECTOR)) onNavigationSignal('panel loaded');
+        else pollForPanel();
+    }, PANEL_POLL_INTERVAL);
+}
+
+// (Re)attaches the observers when the active panel or breadcrumb bar is new
+export function watchActivePanel() {
+    const panel = document.querySelector(ACTIVE_PANEL_SELECTOR);
+    const { observers } = state.navigation;
+
+    if (panel !== state.navigation.panel) {
+        // Buttons belong to the panel they were added to; a different tab gets its own
+        if (state.navigation.panel) clearOldButtons();
+        state.navigation.panel = panel;
+        observers.panel?.disconnect();
+        observers.tabs?.disconnect();
+        clearTimer('panelPoll');
+        if (panel) {
+            observers.panel = new MutationObserver(records => { if (!records.every(isInjectedMutation)) onNavigationSignal('panel content'); });
+            observers.panel.observe(panel, { childList: true, subtree: true });
+            // Sibling panels: tabs opened or closed, and shown/hidden via their class
+            const watchTab = (tab) => observers.tabs.observe(tab, { attributes: true, attributeFilter: ['class'] });
+            const isTab = (node) => node.nodeType === Node.ELEMENT_NODE && node.classList.contains('ui-tabs-panel');
+            observers.tabs = new MutationObserver(records => {
+                const added = records.flatMap(record => [...record.addedNodes].filter(isTab));
+                added.forEach(watchTab);
+                if (added.length || records.some(record => record.type === 'attributes' || [...record.removedNodes].some(isTab))) onNavigationSignal('tab switch');
+            });
+            observers.tabs.observe(panel.parentElement, { childList: true });
+            Array.from(panel.parentElement.children).filter(isTab).forEach(watchTab);
+        } else {
+            pollForPanel();
+        }
+    }
+
+    // Only the breadcrumb bar itself - never a wrapper around the whole page
+    let breadcrumbs = document.querySelector('habitat-header-breadcrumb-item')?.parentElement || null;
+    if (breadcrumbs && (breadcrumbs === document.body || (panel && breadcrumbs.contains(panel)))) breadcrumbs = null;
+    if (breadcrumbs !== state.navigation.breadcrumbs) {
+        state.navigation.breadcrumbs = breadcrumbs;
+        observers.breadcrumbs?.disconnect();
+        if (breadcrumbs) {
+            observers.breadcrumbs = new MutationObserver(() => onNavigationSignal('breadcrumb'));
+            observers.breadcrumbs.observe(breadcrumbs, { childList: true, subtree: true, characterData: true });
+        }
+    }
+}
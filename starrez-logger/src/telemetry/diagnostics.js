@@ -0,0 +1,143 @@
+// ============================================================================
+// DIAGNOSTICS - The "Report problem" bundle
+// ============================================================================
+// Re-runs every extraction step on the open page and records which ones
+// succeeded, plus the outline of the active panel and the recent log. The
+// panel outline keeps tags and classes, and for text only its length and
+// which label keyword it holds - never the text itself, since activity and
+// comment rows can name anyone. Ids, classes and the log go through
+// redactText() with the values just extracted.
+// ============================================================================
+
+import {
+    describeMissingStudentData, extractAccessCardNumbers, extractBedspace, extractKeyCodes, findAccessCardAnchor,
+    findEntryActionsButton, findIssueButtons, findKeysAnchor, getActivePanel, getCurrentBreadcrumb, getCurrentDesk,
+    getParcelCount, getReportKind, getStaffName, getStudentDataFromRez360, getText, isProfilePage, parseReportRows
+} from '../adapter/extractors.js';
+import { CONFIG, INJECTED_SELECTOR } from '../core/config.js';
+import { getInitials } from '../core/format.js';
+import { getRecentLog } from '../core/logger.js';
+import { nameVariants, redactText } from '../core/redact.js';
+import { state } from '../core/state.js';
+import { WORKFLOW_TEMPLATES } from '../core/templates.js';
+import { ACTIONS, getActiveStaff } from '../workflows/registry.js';
+
+// Keywords named in the outline: the labels extraction and button placement depend on
+const PANEL_LABEL_PATTERN = /EntryID|Student Number|Room|Rez 360|Activity|Related|KEYS|Key|LOANER|Mail|Parcel|Issue|Entry Actions|Access Card|Temp Card|Entry Name/i;
+const MAX_OUTLINE_LINES = 400;
+const MAX_OUTLINE_DEPTH = 12;
+
+const describeStep = (source) => (source
+    ? { ok: true, strategy: source.strategy, confidence: source.confidence, note: source.note || null }
+    : { ok: false });
+
+// Everything personal this page is known to hold, for redactText()
+function collectKnownValues(trace, keyCodes, cardNumbers, reportRows) {
+    const sources = trace?.sources || {};
+    const names = [sources.fullName?.value, getCurrentBreadcrumb(), getStaffName(), state.deskIdentity?.name, ...reportRows.map(row => row.fullName)];
+    return [
+        [names.flatMap(nameVariants), 'NAME'],
+        [[sources.studentNumber?.value, ...reportRows.map(row => row.studentNumber)], 'STUDENT_NUMBER'],
+        [[sources.roomSpace?.value, ...reportRows.map(row => row.roomSpace)], 'ROOM'],
+        [[...keyCodes, ...reportRows.flatMap(row => row.keyCodes || [])], 'KEY'],
+        [cardNumbers, 'CARD'],
+        [[...names.filter(Boolean).map(getInitials), state.deskIdentity?.initials], 'INITIALS']
+    ];
+}
+
+function describeSelector(element, redact) {
+    let selector = element.tagName.toLowerCase();
+    if (element.id) selector += `#${redact(element.id)}`;
+    element.classList.forEach(name => { selector += `.${redact(name)}`; });
+    return selector;
+}
+
+// Indented outline of the panel: tag#id.classes, then the label keyword in the
+// element's own text, if any, and its length
+function outlinePanel(panel, redact) {
+    const lines = [];
+    const walk = (element, depth) => {
+        if (lines.length >= MAX_OUTLINE_LINES) return;
+        if (['SCRIPT', 'STYLE', 'SVG'].includes(element.tagName.toUpperCase())) return;
+        const ownText = Array.from(element.childNodes).filter(node => node.nodeType === Node.TEXT_NODE).map(node => node.textContent).join(' ').replace(/\s+/g, ' ').trim();
+        let line = `${'  '.repeat(depth)}${describeSelector(element, redact)}`;
+        if (element.closest(INJECTED_SELECTOR)) line += ' [logger button]';
+        else if (ownText) {
+            const label = ownText.match(PANEL_LABEL_PATTERN)?.[0];
+            if (label) line += ` "${label}"`;
+            if (ownText !== label) line += ` (${ownText.length} chars)`;
+        }
+        if (element.offsetParent === null && element !== panel) line += ' [hidden]';
+        lines.push(line);
+        if (depth < MAX_OUTLINE_DEPTH) Array.from(element.children).forEach(child => walk(child, depth + 1));
+        else if (element.children.length) lines.push(`${'  '.repeat(depth + 1)}... ${element.children.length} more`);
+    };
+    walk(panel, 0);
+    if (lines.length >= MAX_OUTLINE_LINES) lines.push(`... cut at ${MAX_OUTLINE_LINES} elements`);
+    return lines;
+}
+
+/**
+ * Builds the redacted diagnostic bundle for the open page. Safe to attach to
+ * a ticket: see redactText() for what is replaced.
+ */
+export function collectDiagnostics() {
+    const panel = getActivePanel();
+    const text = getText(panel);
+    const data = getStudentDataFromRez360();
+    const trace = state.lastExtraction;
+    const sources = trace?.sources || {};
+    const studentNumber = sources.studentNumber?.value || null;
+    const keyCodes = extractKeyCodes(sources.fullName?.value || null, studentNumber) || [];
+    const cardNumbers = extractAccessCardNumbers(studentNumber);
+    const reportKind = getReportKind(text);
+    const reportRows = reportKind ? parseReportRows() : [];
+
+    const known = collectKnownValues(trace, keyCodes, cardNumbers, reportRows);
+    const redact = (value) => redactText(value, known);
+    const customTemplates = Object.keys(WORKFLOW_TEMPLATES).filter(workflow => state.settings.templates[workflow] !== WORKFLOW_TEMPLATES[workflow].defaultTemplate);
+
+    return {
+        report: 'StarRez Package Logger diagnostics',
+        version: chrome.runtime.getManifest().version,
+        createdAt: new Date().toISOString(),
+        browser: navigator.userAgent,
+        page: {
+            path: redact(location.pathname),
+            desk: getCurrentDesk(),
+            isProfilePage: isProfilePage(),
+            reportKind,
+            tabPanels: document.querySelectorAll('.ui-tabs-panel').length,
+            navigation: { reason: state.navigation.reason, ...state.navigation.stats }
+        },
+        staff: { source: getActiveStaff().source },
+        settings: {
+            enabledWorkflows: state.settings.enabledWorkflows,
+            outputMode: state.settings.outputMode,
+            previewBeforeCopy: state.settings.previewBeforeCopy,
+            customTemplates
+        },
+        extraction: {
+            getStudentDataFromRez360: data ? { ok: true, confidence: data.confidence } : { ok: false, reason: describeMissingStudentData() },
+            entryIdFound: trace?.entryIdFound ?? null,
+            fullName: describeStep(sources.fullName),
+            studentNumber: { ...describeStep(sources.studentNumber), validFormat: studentNumber ? CONFIG.STUDENT_NUMBER_PATTERN.test(studentNumber) : null },
+            roomSpace: { ...describeStep(sources.roomSpace), validFormat: sources.roomSpace ? CONFIG.RESIDENCE_PATTERN.test(sources.roomSpace.value) : null },
+            extractBedspace: { ok: !!extractBedspace(text), strategies: trace?.roomAttempts || [] },
+            extractKeyCodes: { ok: keyCodes.length > 0, count: keyCodes.length },
+            extractAccessCardNumbers: { count: cardNumbers.length },
+            reportRows: reportRows.length
+        },
+        anchors: {
+            issueButtons: findIssueButtons().length,
+            parcelCount: getParcelCount(),
+            keysSection: !!findKeysAnchor(),
+            accessCardSection: !!findAccessCardAnchor(),
+            entryActions: !!findEntryActionsButton(),
+            injectedButtons: Array.from(document.querySelectorAll(INJECTED_SELECTOR), button => button.id),
+            availableActions: Object.keys(ACTIONS).filter(id => ACTIONS[id].isAvailable())
+        },
+        panel: outlinePanel(panel, redact),
+        log: getRecentLog().map(entry => ({ at: new Date(entry.at).toISOString(), level: entry.level, message: redact(entry.message) }))
+    };
+}
@@ -0,0 +1,89 @@
+// ============================================================================
+// USAGE COUNTERS - Shared by the content script and the toolbar popup
+// ============================================================================
+// Stores how many times each FDA used each workflow, bucketed by day and
+// shift, in chrome.storage.local. Only counts are kept - never student data.
+//
+// Shape: { usage: { '2026-01-23': { Day: { 'J. Smith': { package: 42, lockout: 7 } } } } }
+// ============================================================================
+
+import { WORKFLOW_TEMPLATES } from '../core/templates.js';
+
+const USAGE_KEY = 'usage';
+
+// Start hours in 24h time. A shift runs until the next one starts, so the
+// overnight shift belongs to the day it started on.
+export const SHIFTS = [
+    { name: 'Day', start: 7 },
+    { name: 'Evening', start: 15 },
+    { name: 'Overnight', start: 23 }
+];
+
+const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export function getShift(date = new Date()) {
+    const hour = date.getHours();
+    const current = [...SHIFTS].reverse().find(shift => hour >= shift.start);
+    if (current) return { name: current.name, dateKey: toDateKey(date) };
+
+    // Before the first shift of the day: still the previous day's last shift
+    const previousDay = new Date(date);
+    previousDay.setDate(previousDay.getDate() - 1);
+    return { name: SHIFTS[SHIFTS.length - 1].name, dateKey: toDateKey(previousDay) };
+}
+
+// When the shift containing `date` ends (the next shift's start)
+export function getShiftEnd(date = new Date()) {
+    const hour = date.getHours();
+    const next = SHIFTS.find(shift => shift.start > hour);
+    const end = new Date(date);
+    if (!next) end.setDate(end.getDate() + 1);
+    end.setHours((next || SHIFTS[0]).start, 0, 0, 0);
+    return end;
+}
+
+export async function loadUsage() {
+    const stored = await chrome.storage.local.get(USAGE_KEY);
+    return stored[USAGE_KEY] || {};
+}
+
+// Counts are read, increased and written back one call at a time, so two
+// quick clicks never overwrite each other's count
+let usageWrite = Promise.resolve();
+
+export function recordUsage(staffName, workflow, { amount = 1, date = new Date() } = {}) {
+    const write = usageWrite.then(async () => {
+        const usage = await loadUsage();
+        const { name: shift, dateKey } = getShift(date);
+        const staff = staffName || 'Unknown';
+
+        const day = usage[dateKey] ||= {};
+        const shiftCounts = day[shift] ||= {};
+        const staffCounts = shiftCounts[staff] ||= {};
+        staffCounts[workflow] = (staffCounts[workflow] || 0) + amount;
+
+        await chrome.storage.local.set({ [USAGE_KEY]: usage });
+    });
+    usageWrite = write.catch(() => {});
+    return write;
+}
+
+export async function resetUsage() {
+    await chrome.storage.local.remove(USAGE_KEY);
+}
+
+const csvCell = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+export function usageToCsv(usage) {
+    const workflows = Object.keys(WORKFLOW_TEMPLATES);
+    const rows = [['Date', 'Shift', 'Staff', ...workflows.map(wf => WORKFLOW_TEMPLATES[wf].name), 'Total']];
+    Object.keys(usage).sort().forEach(dateKey => {
+        Object.entries(usage[dateKey]).forEach(([shift, byStaff]) => {
+            Object.entries(byStaff).forEach(([staff, counts]) => {
+                const values = workflows.map(wf => counts[wf] || 0);
+                rows.push([dateKey, shift, staff, ...values, values.reduce((a, b) => a + b, 0)]);
+            });
+        });
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
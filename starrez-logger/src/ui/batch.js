@@ -0,0 +1,96 @@
+// ============================================================================
+// BATCH CHECKLIST (parcel and loaner-key report pages)
+// ============================================================================
+
+import { formatDisplayName, getCurrentTime, packageValues } from '../core/format.js';
+import { state } from '../core/state.js';
+import { renderTemplate } from '../core/templates.js';
+import { createChoice, createFieldset, createPreviewField, createReasonField, describeMissingReason, openInteractivePreview } from './popups.js';
+import { describeRecentEntry, getResidenceMismatch } from '../workflows/guards.js';
+import { buildTemplateValues, getActiveStaff, getTemplate } from '../workflows/registry.js';
+
+const BATCH_SORTS = {
+    room: (a, b) => a.roomSpace.localeCompare(b.roomSpace, undefined, { numeric: true }),
+    time: (a, b) => (a.time?.getTime() ?? Infinity) - (b.time?.getTime() ?? Infinity)
+};
+
+/**
+ * Checklist of every parsed report row. The FDA can untick rows and choose
+ * the order; Copy puts one log line per ticked row on the clipboard. On the
+ * Loaner Keys Report the lines use the lockout template, so a reason is
+ * required just like the single Copy Lockout workflow. Students already
+ * logged this shift start unticked, with who logged them and when.
+ */
+export function showBatchChecklist(rows, kind, recentEntries = {}) {
+    const { name: staffName, initials: staffInitials } = getActiveStaff();
+    const workflow = kind === 'keys' ? 'lockout' : 'package';
+
+    const sortSelect = document.createElement('select');
+    [['room', 'Sort by room'], ['time', 'Sort by time']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        sortSelect.appendChild(option);
+    });
+
+    const items = rows.map(row => {
+        const summary = kind === 'keys'
+            ? `${row.roomSpace} - ${formatDisplayName(row.fullName)} - KC: ${row.keyCodes.join(', ') || 'none'}`
+            : `${row.roomSpace} - ${formatDisplayName(row.fullName)} - ${row.count} pkg${row.count > 1 ? 's' : ''}${row.time ? ` @ ${getCurrentTime(row.time)}` : ''}`;
+        const recent = recentEntries[row.studentNumber];
+        const mismatch = kind !== 'keys' && getResidenceMismatch(row.roomSpace);
+        const notes = [recent && describeRecentEntry(recent), mismatch && `${mismatch.residence} - not this desk`].filter(Boolean);
+        const choice = createChoice('checkbox', 'batch-row', row.studentNumber, notes.length ? `${summary} (${notes.join('; ')})` : summary);
+        choice.input.checked = !recent && (kind !== 'keys' || row.keyCodes.length > 0);
+        choice.input.disabled = kind === 'keys' && row.keyCodes.length === 0;
+        return { row, ...choice };
+    });
+    const checklist = createFieldset(`${rows.length} students found`, []);
+    const sortItems = () => {
+        [...items].sort((a, b) => BATCH_SORTS[sortSelect.value](a.row, b.row)).forEach(item => checklist.appendChild(item.label));
+    };
+    sortSelect.addEventListener('change', sortItems);
+    sortItems();
+
+    const toggleAll = document.createElement('a');
+    toggleAll.href = '#';
+    toggleAll.textContent = 'Select all / none';
+    toggleAll.style.cssText = 'display: block; font-size: 11px; margin-bottom: 6px; color: #667eea;';
+    toggleAll.addEventListener('click', (e) => {
+        e.preventDefault();
+        const enabled = items.filter(item => !item.input.disabled);
+        const check = enabled.some(item => !item.input.checked);
+        enabled.forEach(item => { item.input.checked = check; });
+        checklist.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+
+    const reasonField = createReasonField('batch-reason', state.settings.lockoutReasons, 'Reason (applies to every line)');
+    const fields = [createPreviewField('Order', sortSelect), toggleAll, checklist];
+    if (kind === 'keys') fields.push(reasonField.fieldset);
+
+    const render = () => {
+        const chosen = items.filter(item => item.input.checked).sort((a, b) => BATCH_SORTS[sortSelect.value](a.row, b.row));
+        if (chosen.length === 0) return 'Tick at least one row';
+        const reason = kind === 'keys' ? reasonField.getReason() : null;
+        const missing = kind === 'keys' && describeMissingReason(reason);
+        if (missing) return missing;
+
+        const valueRows = chosen.map(({ row }) => {
+            const values = buildTemplateValues(row, staffInitials, row.time || new Date());
+            const extras = kind === 'keys'
+                ? { keyCodes: row.keyCodes.join(', '), reason }
+                : packageValues(row.count);
+            return { ...values, ...extras };
+        });
+        const lines = valueRows.map(values => renderTemplate(getTemplate(workflow), values));
+        return {
+            success: true,
+            logEntry: lines.join('\n'),
+            valueRows,
+            entryCount: lines.length,
+            data: { fullName: `${lines.length} students (batch)`, roomSpace: sortSelect.value === 'room' ? 'sorted by room' : 'sorted by time', staffName }
+        };
+    };
+
+    return openInteractivePreview(kind === 'keys' ? 'Batch lockout log' : 'Batch package log', fields, render);
+}
@@ -0,0 +1,152 @@
+// ============================================================================
+// BUTTONS - Injected buttons and click handling
+// ============================================================================
+
+import { findAccessCardAnchor, findEntryActionsButton, findIssueButtons, findKeysAnchor, findParcelCount, getActivePanel, getParcelCount, isProfilePage, parseReportRows } from '../adapter/extractors.js';
+import { INJECTED_SELECTOR } from '../core/config.js';
+import { log } from '../core/logger.js';
+import { state } from '../core/state.js';
+import { createStyledButton } from './styles.js';
+import { ACTIONS, isWorkflowEnabled } from '../workflows/registry.js';
+import { runBatch, runWorkflow } from '../workflows/runner.js';
+
+export async function handleButtonClick(button, count, originalText, gradient, type) {
+    if (button.disabled) return;
+    const outcome = await runWorkflow(type, count);
+    if (outcome?.printed) flashButton(button, 'Printed!', originalText, gradient);
+    else if (outcome?.copied) flashButton(button, 'Copied!', originalText, gradient);
+}
+
+function flashButton(button, text, originalText, gradient) {
+    button.textContent = text;
+    button.style.background = 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)';
+    setTimeout(() => { button.textContent = originalText; button.style.background = gradient; }, 2000);
+}
+
+function createBatchButton() {
+    if (document.getElementById('batch-log-btn') || !ACTIONS['batch-log'].isAvailable()) return;
+    const container = getActivePanel();
+    if (parseReportRows().length === 0) return;
+
+    const { gradient } = ACTIONS['batch-log'];
+    const button = createStyledButton('Batch Log', gradient);
+    button.id = 'batch-log-btn';
+    button.style.margin = '0 0 8px';
+    button.addEventListener('click', async (e) => {
+        e.preventDefault();
+        if ((await runBatch())?.copied) flashButton(button, 'Copied!', 'Batch Log', gradient);
+    });
+    const anchor = container.querySelector('table');
+    if (anchor) anchor.parentNode.insertBefore(button, anchor);
+    else container.prepend(button);
+    log('Batch button created');
+}
+
+function createLockoutButton(retryCount = 0) {
+    // 1. Strict Profile Check: Are we on a student profile?
+    if (!isProfilePage()) return; 
+
+    // 2. Prevent Duplicate Buttons
+    if (document.getElementById('lockout-log-btn')) return;
+
+    // 3. Find Anchor: Look for "KEYS", "Key Code", or "Loaner"
+    const bestTarget = findKeysAnchor();
+
+    if (!bestTarget) {
+        // RETRY: Keys section might not be loaded yet
+        if (retryCount < 5) {
+            log(`Keys section not found, retrying... (${retryCount + 1}/5)`);
+            setTimeout(() => createLockoutButton(retryCount + 1), 500);
+        }
+        return;
+    }
+
+    const { gradient } = ACTIONS['copy-lockout'];
+    const button = createStyledButton('Loading...', gradient);
+    button.id = 'lockout-log-btn';
+    button.disabled = true; button.style.opacity = '0.6'; button.style.cursor = 'not-allowed';
+    
+    setTimeout(() => { button.disabled = false; button.style.opacity = '1'; button.style.cursor = 'pointer'; button.textContent = 'Copy Lockout'; }, state.settings.timings.buttonEnableDelay);
+    
+    button.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); handleButtonClick(button, 1, 'Copy Lockout', gradient, 'lockout'); });
+    bestTarget.appendChild(button);
+    log('Lockout button created at:', bestTarget.tagName);
+}
+
+/**
+ * Adds a workflow's button (by ACTIONS id) to the profile section it belongs
+ * to, retrying while the section loads. Used for Key Return (next to Copy
+ * Lockout) and Temp Card.
+ */
+function createSectionButton(actionId, findAnchor, retryCount = 0) {
+    const action = ACTIONS[actionId];
+    if (!isProfilePage() || document.getElementById(action.buttonId)) return;
+
+    const anchor = findAnchor();
+    if (!anchor) {
+        if (retryCount < 5) setTimeout(() => createSectionButton(actionId, findAnchor, retryCount + 1), 500);
+        return;
+    }
+
+    const text = action.label();
+    const button = createStyledButton(text, action.gradient);
+    button.id = action.buttonId;
+    button.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); handleButtonClick(button, 1, text, action.gradient, action.type); });
+    anchor.appendChild(button);
+    log(`${text} button created at:`, anchor.tagName);
+}
+
+export function createLogButtons() {
+    // Individual Package Buttons
+    const packageGradient = ACTIONS['copy-log'].gradient;
+    if (isWorkflowEnabled('package')) findIssueButtons().forEach((btn, i) => {
+        if (document.getElementById(`pkg-btn-${i}`)) return;
+        const b = createStyledButton('Copy Log', packageGradient);
+        b.id = `pkg-btn-${i}`;
+        b.addEventListener('click', (e) => { e.preventDefault(); handleButtonClick(b, 1, 'Copy Log', packageGradient, 'package'); });
+        btn.parentNode.insertBefore(b, btn.nextSibling);
+    });
+
+    // Master Package Button
+    const parcelCount = findParcelCount();
+    if (parcelCount && isWorkflowEnabled('package') && !document.getElementById('pkg-master')) {
+        const count = getParcelCount();
+        if (count > 1) {
+            const { gradient } = ACTIONS['copy-all-packages'];
+            const b = createStyledButton(`Copy ${count} pkgs`, gradient);
+            b.id = 'pkg-master';
+            b.addEventListener('click', (e) => { e.preventDefault(); handleButtonClick(b, count, `Copy ${count} pkgs`, gradient, 'package'); });
+            parcelCount.parentNode.insertBefore(b, parcelCount.nextSibling);
+        }
+    }
+
+    // Return to Sender, after the parcel count (and Copy N pkgs) - only with parcels waiting
+    if (parcelCount && getParcelCount() > 0 && isWorkflowEnabled('returnToSender') && !document.getElementById('rts-btn')) {
+        const { gradient } = ACTIONS['copy-return-to-sender'];
+        const b = createStyledButton('Return to Sender', gradient);
+        b.id = 'rts-btn';
+        b.addEventListener('click', (e) => { e.preventDefault(); handleButtonClick(b, getParcelCount(), 'Return to Sender', gradient, 'returnToSender'); });
+        const after = document.getElementById('pkg-master') || parcelCount;
+        after.parentNode.insertBefore(b, after.nextSibling);
+    }
+
+    if (isWorkflowEnabled('lockout')) createLockoutButton();
+    if (isWorkflowEnabled('keyReturn')) createSectionButton('copy-key-return', findKeysAnchor);
+    if (isWorkflowEnabled('accessCard')) createSectionButton('copy-access-card', findAccessCardAnchor);
+    createBatchButton();
+    
+    // Print Label Button
+    const entryActions = findEntryActionsButton();
+    if (entryActions && isWorkflowEnabled('label') && !document.getElementById('pkg-label')) {
+        const { gradient } = ACTIONS['print-label'];
+        const b = createStyledButton('Print Label', gradient);
+        b.id = 'pkg-label';
+        b.addEventListener('click', (e) => { e.preventDefault(); handleButtonClick(b, 1, 'Print Label', gradient, 'label'); });
+        entryActions.parentNode.insertBefore(b, entryActions);
+    }
+}
+
+export function clearOldButtons() {
+    document.querySelectorAll(INJECTED_SELECTOR).forEach(b => b.remove());
+    state.lastExtracted = { name: null };
+}
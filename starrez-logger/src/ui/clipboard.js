@@ -0,0 +1,64 @@
+// ============================================================================
+// CLIPBOARD - Plain text and spreadsheet output
+// ============================================================================
+
+import { buildSpreadsheetOutput } from '../core/format.js';
+import { log } from '../core/logger.js';
+import { state } from '../core/state.js';
+import { WORKFLOW_TEMPLATES } from '../core/templates.js';
+
+// Fallback for when navigator.clipboard is refused (no permission, or the tab
+// lost focus while a popup was open). The copy event sets the data directly,
+// so the HTML table still reaches spreadsheets.
+function copyWithExecCommand(text, html = null) {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0; pointer-events: none;';
+    const onCopy = (e) => {
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', text);
+        if (html) e.clipboardData.setData('text/html', html);
+    };
+    const focused = document.activeElement;
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.addEventListener('copy', onCopy, true);
+    try { return document.execCommand('copy'); }
+    catch (err) { log('execCommand copy failed:', err); return false; }
+    finally {
+        document.removeEventListener('copy', onCopy, true);
+        textarea.remove();
+        focused?.focus?.();
+    }
+}
+
+/**
+ * Copies `text`. When `spreadsheet` ({ workflow, rows }) is given and a
+ * spreadsheet output mode is on, also writes an HTML table so Sheets/Excel
+ * paste into separate columns; other apps still get plain text (or TSV).
+ * Resolves false only when every clipboard method was refused.
+ */
+export async function copyToClipboard(text, spreadsheet = null) {
+    const mode = state.settings.outputMode;
+    let rich = null;
+    if (spreadsheet && mode !== 'text') {
+        const columns = state.settings.columns[spreadsheet.workflow] || WORKFLOW_TEMPLATES[spreadsheet.workflow].defaultColumns;
+        const { html, tsv } = buildSpreadsheetOutput(columns, spreadsheet.rows);
+        rich = { html, plain: mode === 'tsv' ? tsv : text };
+    }
+    if (rich && typeof ClipboardItem !== 'undefined') {
+        try {
+            await navigator.clipboard.write([new ClipboardItem({
+                'text/plain': new Blob([rich.plain], { type: 'text/plain' }),
+                'text/html': new Blob([rich.html], { type: 'text/html' })
+            })]);
+            return true;
+        } catch (err) { log('Rich clipboard write failed, falling back to plain text:', err); }
+    }
+    // In tsv mode the plain text is the tab-separated rows, not the log line
+    const plain = rich ? rich.plain : text;
+    try { await navigator.clipboard.writeText(plain); return true; }
+    catch (err) { log('Clipboard API refused, falling back to execCommand:', err); }
+    return copyWithExecCommand(plain, rich?.html);
+}
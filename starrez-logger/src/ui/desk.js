@@ -0,0 +1,130 @@
+// ============================================================================
+// WHO'S ON DESK - Badge, switcher and sign-in prompt
+// ============================================================================
+
+import { getCurrentDesk, getStaffName } from '../adapter/extractors.js';
+import { getInitials } from '../core/format.js';
+import { error } from '../core/logger.js';
+import { state } from '../core/state.js';
+import { DESK_ROSTER_KEY, parseDeskIdentity, signInToDesk, signOutOfDesk } from '../runtime/desk.js';
+import { createInput, createPreviewField } from './popups.js';
+import { createStyledButton } from './styles.js';
+import { notify } from './toast.js';
+import { getActiveStaff } from '../workflows/registry.js';
+
+// Corner badge showing whose initials go on every log entry
+export function renderDeskBadge() {
+    if (!document.body) return;
+    let badge = document.getElementById('desk-identity-badge');
+    if (!badge) {
+        badge = document.createElement('button');
+        badge.id = 'desk-identity-badge';
+        badge.addEventListener('click', (e) => { e.preventDefault(); openDeskSwitcher(); });
+    }
+    const staff = getActiveStaff();
+    const color = staff.source === 'desk' ? '#667eea' : staff.source ? '#999' : '#dd6b20';
+    badge.style.cssText = `
+        position: fixed; bottom: 20px; left: 20px; z-index: 9999; background: white; border: 2px solid ${color};
+        border-radius: 16px; padding: 4px 12px; font-family: monospace; font-size: 12px; color: #333;
+        cursor: pointer; box-shadow: 0 2px 8px rgba(0,0,0,0.15); text-align: left;
+    `;
+    const name = document.createElement('strong');
+    name.style.color = color;
+    name.textContent = `On desk: ${staff.initials}`;
+    const detail = document.createElement('div');
+    detail.style.cssText = 'font-size: 10px; color: #999;';
+    const desk = getCurrentDesk();
+    detail.textContent = (staff.source === 'desk' ? `${staff.name} - signed in here`
+        : staff.source ? `${staff.name} (StarRez login)` : 'Name not detected - click to sign in') + (desk ? ` - ${desk} desk` : '');
+    badge.replaceChildren(name, detail);
+    badge.title = 'Switch who is on desk';
+    if (!badge.isConnected) document.body.appendChild(badge);
+}
+
+/**
+ * Popover for picking a recent name or typing a new one. Resolves with the
+ * identity signed in, or null if the FDA closed it (or went back to the
+ * StarRez login). `prompt` explains why it opened on its own.
+ */
+export async function openDeskSwitcher(prompt = '') {
+    document.getElementById('desk-identity-switcher')?.remove();
+    const stored = await chrome.storage.local.get(DESK_ROSTER_KEY);
+    const roster = stored[DESK_ROSTER_KEY] || [];
+
+    return new Promise(resolve => {
+        const panel = document.createElement('div');
+        panel.id = 'desk-identity-switcher';
+        panel.style.cssText = `
+            position: fixed; bottom: 70px; left: 20px; z-index: 10001; background: white; border: 2px solid #667eea;
+            border-radius: 8px; padding: 16px; box-shadow: 0 4px 20px rgba(0,0,0,0.15); width: 300px;
+            font-family: monospace; font-size: 13px;
+        `;
+        const close = (value) => { panel.remove(); resolve(value); };
+        const choose = (identity) => signInToDesk(identity).then(shared => {
+            if (!shared) notify({ type: 'warning', title: `Signed in as ${identity.initials} on this tab only`, message: 'Other StarRez tabs could not be told — sign in there too, or reload the extension at chrome://extensions.' });
+            close(identity);
+        }).catch(err => { error('Desk sign-in failed:', err); close(null); });
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight: bold; margin-bottom: 8px; color: #667eea;';
+        title.textContent = "Who's on desk?";
+        panel.appendChild(title);
+
+        if (prompt) {
+            const note = document.createElement('div');
+            note.style.cssText = 'font-size: 11px; color: #dd6b20; margin-bottom: 8px;';
+            note.textContent = prompt;
+            panel.appendChild(note);
+        }
+
+        roster.forEach(identity => {
+            const button = createStyledButton(identity.name === identity.initials ? identity.initials : `${identity.initials} - ${identity.name}`, state.deskIdentity?.name === identity.name ? '#667eea' : '#999');
+            button.style.cssText += 'display: block; width: 100%; margin: 0 0 6px; text-align: left; font-size: 12px;';
+            button.addEventListener('click', (e) => { e.preventDefault(); choose(identity); });
+            panel.appendChild(button);
+        });
+
+        const input = createInput('text', '');
+        input.placeholder = 'Your name or initials (e.g. J.D)';
+        const problem = document.createElement('div');
+        problem.style.cssText = 'font-size: 11px; color: #e53e3e; min-height: 14px;';
+        const submit = () => {
+            const identity = parseDeskIdentity(input.value);
+            if (identity) choose(identity);
+            else problem.textContent = 'Enter your full name or initials like J.D';
+        };
+        const signIn = createStyledButton('Sign in', 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)');
+        signIn.style.marginLeft = '0';
+        signIn.addEventListener('click', (e) => { e.preventDefault(); submit(); });
+        panel.append(createPreviewField('New name', input), problem, signIn);
+
+        if (state.deskIdentity) {
+            const scraped = getStaffName();
+            const signOut = createStyledButton(scraped ? `Use StarRez login (${getInitials(scraped)})` : 'Sign out', '#999');
+            signOut.addEventListener('click', (e) => { e.preventDefault(); signOutOfDesk().finally(() => close(null)); });
+            panel.appendChild(signOut);
+        }
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'font-size: 10px; color: #999; margin-top: 8px;';
+        hint.textContent = state.settings.deskTimeoutMinutes
+            ? `Signs out after ${state.settings.deskTimeoutMinutes} min without activity - Esc to close`
+            : 'Esc to close';
+        panel.appendChild(hint);
+
+        panel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') { e.preventDefault(); submit(); }
+            else if (e.key === 'Escape') { e.preventDefault(); close(null); }
+        });
+
+        document.body.appendChild(panel);
+        input.focus();
+    });
+}
+
+// Entries must never silently go out as X.X: ask for initials first
+export async function ensureStaffKnown() {
+    if (getActiveStaff().source) return true;
+    return !!await openDeskSwitcher('Your StarRez name could not be read. Sign in so this entry is credited to you.');
+}
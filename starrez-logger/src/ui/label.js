@@ -0,0 +1,162 @@
+// ============================================================================
+// PRINTABLE PACKAGE LABEL
+// ============================================================================
+
+import { encodeCode128 } from '../core/barcode.js';
+import { LABEL_BARCODE_SHARE, LABEL_MARGIN, LABEL_STOCKS, buildEpl, buildZpl } from '../core/labels.js';
+import { state } from '../core/state.js';
+import { createPreviewField } from './popups.js';
+import { createStyledButton } from './styles.js';
+
+// Draws the barcode as one SVG rect per run of bars, sized in inches
+function createBarcodeSvg(doc, value, widthIn, heightIn) {
+    const modules = encodeCode128(value);
+    const svg = doc.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('viewBox', `0 0 ${modules.length} 1`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    svg.style.cssText = `display: block; width: ${widthIn}in; height: ${heightIn}in;`;
+    for (const run of modules.matchAll(/1+/g)) {
+        const rect = doc.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', run.index);
+        rect.setAttribute('y', 0);
+        rect.setAttribute('width', run[0].length);
+        rect.setAttribute('height', 1);
+        svg.appendChild(rect);
+    }
+    return svg;
+}
+
+// Builds the label at its real size so the preview matches the printout
+function buildLabelElement(doc, lines, values, stock) {
+    const label = doc.createElement('div');
+    label.style.cssText = `
+        box-sizing: border-box; width: ${stock.width}in; height: ${stock.height}in; padding: ${LABEL_MARGIN}in;
+        background: white; color: black; font-family: Arial, sans-serif; overflow: hidden;
+        display: flex; flex-direction: column; justify-content: space-between;
+    `;
+
+    const barcodeHeight = stock.height * LABEL_BARCODE_SHARE;
+    const lineHeight = (stock.height - 2 * LABEL_MARGIN - barcodeHeight - 0.15) / Math.max(lines.length, 1);
+    const fontSize = Math.min(lineHeight * 0.8, 0.3) * 72;
+
+    const text = doc.createElement('div');
+    lines.forEach(line => {
+        const row = doc.createElement('div');
+        row.textContent = line;
+        row.style.cssText = `font-size: ${fontSize}pt; line-height: ${lineHeight}in; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;`;
+        if (line.trim() === values.fullName) row.style.fontWeight = 'bold';
+        text.appendChild(row);
+    });
+
+    const barcode = doc.createElement('div');
+    barcode.appendChild(createBarcodeSvg(doc, values.studentNumber, Math.min(stock.width - 2 * LABEL_MARGIN, 2.5), barcodeHeight - 0.12));
+    const caption = doc.createElement('div');
+    caption.textContent = values.studentNumber;
+    caption.style.cssText = 'font-size: 7pt; letter-spacing: 1px;';
+    barcode.appendChild(caption);
+
+    label.append(text, barcode);
+    return label;
+}
+
+// Prints through a hidden iframe so only the label (not StarRez) is printed
+function printLabel(lines, values, stock) {
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+    document.body.appendChild(frame);
+
+    const doc = frame.contentDocument;
+    const style = doc.createElement('style');
+    style.textContent = `@page { size: ${stock.width}in ${stock.height}in; margin: 0; } html, body { margin: 0; }`;
+    doc.head.appendChild(style);
+    doc.body.appendChild(buildLabelElement(doc, lines, values, stock));
+
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+}
+
+/**
+ * Opens the print-ready label view. Resolves with { printed: true } after
+ * printing, { text, format } when the FDA chose one of the copy actions
+ * ('text', 'zpl' or 'epl'), or null when closed.
+ */
+export function showLabelView(result) {
+    return new Promise(resolve => {
+        document.getElementById('label-view-overlay')?.remove();
+        const lines = result.logEntry.split('\n');
+        const values = result.values;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'label-view-overlay';
+        overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const card = document.createElement('div');
+        card.style.cssText = 'background: white; border-radius: 8px; padding: 16px; box-shadow: 0 4px 20px rgba(0,0,0,0.25); max-width: 90vw; max-height: 90vh; overflow: auto; font-family: monospace; font-size: 13px;';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight: bold; margin-bottom: 8px; color: #4facfe;';
+        title.textContent = 'Package Label';
+
+        const stockSelect = document.createElement('select');
+        Object.entries(LABEL_STOCKS).forEach(([key, stock]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = stock.name;
+            stockSelect.appendChild(option);
+        });
+        stockSelect.value = state.settings.labelStock in LABEL_STOCKS ? state.settings.labelStock : '4x2';
+
+        const previewArea = document.createElement('div');
+        previewArea.style.cssText = 'margin: 12px 0; padding: 12px; background: #f0f0f0; display: flex; justify-content: center;';
+        const renderLabel = () => {
+            const label = buildLabelElement(document, lines, values, LABEL_STOCKS[stockSelect.value]);
+            label.style.boxShadow = '0 1px 4px rgba(0,0,0,0.3)';
+            previewArea.replaceChildren(label);
+        };
+        stockSelect.addEventListener('change', renderLabel);
+
+        const close = (value) => { overlay.remove(); resolve(value); };
+        const print = () => { printLabel(lines, values, LABEL_STOCKS[stockSelect.value]); close({ printed: true }); };
+
+        const printButton = createStyledButton('Print', 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)');
+        printButton.style.marginLeft = '0';
+        const actions = [
+            printButton,
+            createStyledButton('Copy Text', '#667eea'),
+            createStyledButton('Copy ZPL', '#764ba2'),
+            createStyledButton('Copy EPL', '#764ba2'),
+            createStyledButton('Close', '#999')
+        ];
+        const handlers = [
+            print,
+            () => close({ text: result.logEntry, format: 'text' }),
+            () => close({ text: buildZpl(lines, values.studentNumber, LABEL_STOCKS[stockSelect.value]), format: 'zpl' }),
+            () => close({ text: buildEpl(lines, values.studentNumber, LABEL_STOCKS[stockSelect.value]), format: 'epl' }),
+            () => close(null)
+        ];
+        actions.forEach((button, i) => button.addEventListener('click', (e) => { e.preventDefault(); handlers[i](); }));
+
+        const actionRow = document.createElement('div');
+        actionRow.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px 0;';
+        actionRow.append(...actions);
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'font-size: 10px; color: #999; margin-top: 8px;';
+        hint.textContent = 'Enter to print - Esc to close';
+
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) close(null); });
+        overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') { e.preventDefault(); close(null); }
+            else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') { e.preventDefault(); print(); }
+        });
+
+        card.append(title, createPreviewField('Label stock', stockSelect), previewArea, actionRow, hint);
+        overlay.appendChild(card);
+        renderLabel();
+        document.body.appendChild(overlay);
+        printButton.focus();
+    });
+}
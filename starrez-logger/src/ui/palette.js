@@ -0,0 +1,96 @@
+// ============================================================================
+// COMMAND PALETTE (Ctrl+Shift+L)
+// ============================================================================
+
+import { getStudentDataFromRez360 } from '../adapter/extractors.js';
+import { ACTIONS, generateWorkflowResult, getActiveStaff } from '../workflows/registry.js';
+import { runAction } from '../workflows/runner.js';
+
+// Current shortcuts come from the service worker; content scripts cannot read chrome.commands
+async function getShortcuts() {
+    try { return await chrome.runtime.sendMessage({ type: 'get-shortcuts' }) || {}; }
+    catch (err) { return {}; }
+}
+
+export async function openCommandPalette() {
+    document.getElementById('logger-command-palette')?.remove();
+    const shortcuts = await getShortcuts();
+    const items = Object.entries(ACTIONS).filter(([, action]) => action.isAvailable()).map(([id, action]) => {
+        if (action.type === 'batch') return { id, label: action.label(), shortcut: shortcuts[id], preview: `${action.getCount()} students on this report - opens the checklist` };
+        if (action.type === 'desk') {
+            const staff = getActiveStaff();
+            return { id, label: action.label(), shortcut: shortcuts[id], preview: `Logging as ${staff.initials}${staff.name ? ` (${staff.name})` : ''}` };
+        }
+        if (action.type === 'debug') {
+            const data = getStudentDataFromRez360();
+            return { id, label: action.label(), shortcut: shortcuts[id], preview: data ? `Outlines where each field was read from (overall confidence ${Math.round(data.confidence * 100)}%)` : 'Outlines what was found - student data is incomplete' };
+        }
+        if (action.type === 'report') return { id, label: action.label(), shortcut: shortcuts[id], preview: 'Saves a redacted diagnostic file to attach to a ticket' };
+        const result = generateWorkflowResult(action.type, action.getCount());
+        return { id, label: action.label(), shortcut: shortcuts[id], preview: result.success ? result.logEntry : `Error: ${result.error}`, failed: !result.success };
+    });
+
+    const overlay = document.createElement('div');
+    overlay.id = 'logger-command-palette';
+    overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0,0,0,0.25); z-index: 10002; display: flex; justify-content: center; align-items: flex-start; padding-top: 12vh;';
+
+    const card = document.createElement('div');
+    card.style.cssText = 'background: white; border: 2px solid #667eea; border-radius: 8px; width: 560px; max-width: 90vw; box-shadow: 0 8px 30px rgba(0,0,0,0.2); font-family: monospace; font-size: 13px; overflow: hidden;';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = items.length ? 'Type to filter logger actions...' : 'No logger actions on this page';
+    input.style.cssText = 'width: 100%; box-sizing: border-box; padding: 10px 12px; border: none; border-bottom: 1px solid #eee; font-family: monospace; font-size: 14px; outline: none;';
+
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 50vh; overflow-y: auto;';
+
+    let visible = items;
+    let selected = 0;
+    const close = () => overlay.remove();
+    const run = (item) => { close(); if (item) runAction(item.id); };
+
+    const render = () => {
+        const filter = input.value.trim().toLowerCase();
+        visible = items.filter(item => item.label.toLowerCase().includes(filter));
+        selected = Math.min(selected, Math.max(visible.length - 1, 0));
+        list.replaceChildren(...visible.map((item, i) => {
+            const row = document.createElement('div');
+            row.style.cssText = `padding: 8px 12px; cursor: pointer; border-bottom: 1px solid #f3f3f3; background: ${i === selected ? '#eef0fd' : 'white'};`;
+
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; justify-content: space-between; font-weight: bold; color: #667eea;';
+            const name = document.createElement('span');
+            name.textContent = item.label;
+            const keys = document.createElement('span');
+            keys.style.cssText = 'font-weight: normal; color: #999; font-size: 11px;';
+            keys.textContent = item.shortcut || '';
+            header.append(name, keys);
+
+            const text = document.createElement('div');
+            text.style.cssText = `margin-top: 4px; white-space: pre-wrap; word-break: break-all; font-size: 12px; color: ${item.failed ? '#c53030' : '#333'};`;
+            text.textContent = item.preview;
+
+            row.append(header, text);
+            row.addEventListener('mouseenter', () => { selected = i; render(); });
+            row.addEventListener('click', () => run(item));
+            return row;
+        }));
+    };
+
+    input.addEventListener('input', () => { selected = 0; render(); });
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    overlay.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') { e.preventDefault(); close(); }
+        else if (e.key === 'Enter') { e.preventDefault(); run(visible[selected]); }
+        else if (e.key === 'ArrowDown' && visible.length) { e.preventDefault(); selected = (selected + 1) % visible.length; render(); }
+        else if (e.key === 'ArrowUp' && visible.length) { e.preventDefault(); selected = (selected - 1 + visible.length) % visible.length; render(); }
+    });
+
+    card.append(input, list);
+    overlay.appendChild(card);
+    render();
+    document.body.appendChild(overlay);
+    input.focus();
+}
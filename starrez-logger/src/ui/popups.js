@@ -0,0 +1,370 @@
+// ============================================================================
+// POPUPS - Editable preview, workflow detail pickers and warnings
+// ============================================================================
+
+import { getCurrentTime, getFormattedDateTime, packageValues } from '../core/format.js';
+import { state } from '../core/state.js';
+import { renderTemplate } from '../core/templates.js';
+import { createStyledButton } from './styles.js';
+import { createPreviewPopup } from './toast.js';
+import { getTemplate } from '../workflows/registry.js';
+
+export function createPreviewField(labelText, input) {
+    const label = document.createElement('label');
+    label.style.cssText = 'display: block; font-size: 11px; color: #666; margin-bottom: 6px;';
+    label.textContent = labelText;
+    input.style.cssText = 'display: block; width: 100%; box-sizing: border-box; margin-top: 2px; padding: 4px 6px; font-family: monospace; font-size: 13px; border: 1px solid #ccc; border-radius: 4px;';
+    label.appendChild(input);
+    return label;
+}
+
+export function createInput(type, value) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    return input;
+}
+
+const DATETIME_INPUT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/;
+
+// Local date and time as a datetime-local input value, e.g. "2026-01-23T23:50"
+function toDateTimeInputValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Reverse of toDateTimeInputValue; null until the input holds a full date and time
+function dateFromDateTimeInput(value) {
+    const match = value.match(DATETIME_INPUT_PATTERN);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Shared shell for the interactive popups (editable preview, lockout reason
+ * picker). `render()` runs on every edit and returns either the updated result
+ * or a string explaining what is still missing, which blocks copying.
+ * Resolves with the result on Enter/Copy, or null on Esc/Cancel or when
+ * another popup replaces it.
+ */
+export function openInteractivePreview(titleText, fields, render) {
+    return new Promise(resolve => {
+        const preview = createPreviewPopup(() => close(null));
+        preview.style.animation = 'none';
+        preview.style.maxHeight = 'calc(100vh - 40px)';
+        preview.style.overflowY = 'auto';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight: bold; margin-bottom: 8px; color: #667eea;';
+        title.textContent = titleText;
+
+        const output = document.createElement('div');
+        output.style.cssText = 'background: #f7f7f7; padding: 8px; border-radius: 4px; word-break: break-all; white-space: pre-wrap; margin: 8px 0;';
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'font-size: 10px; color: #999;';
+        hint.textContent = 'Enter to copy - Esc to cancel';
+
+        const copyButton = createStyledButton('Copy', 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)');
+        copyButton.style.marginLeft = '0';
+        const cancelButton = createStyledButton('Cancel', '#999');
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; align-items: center; margin-top: 8px;';
+        actions.append(copyButton, cancelButton);
+
+        let current = null;
+        const update = () => {
+            const rendered = render();
+            current = typeof rendered === 'string' ? null : rendered;
+            output.textContent = current ? current.logEntry : rendered;
+            output.style.fontWeight = current ? '600' : 'normal';
+            output.style.color = current ? 'inherit' : '#c05621';
+            copyButton.disabled = !current;
+            copyButton.style.opacity = current ? '1' : '0.6';
+        };
+
+        const close = (value) => { preview.remove(); resolve(value); };
+        const submit = () => { if (current) close(current); };
+
+        preview.addEventListener('input', update);
+        preview.addEventListener('change', update);
+        copyButton.addEventListener('click', (e) => { e.preventDefault(); submit(); });
+        cancelButton.addEventListener('click', (e) => { e.preventDefault(); close(null); });
+        // Enter on a focused button (e.g. Cancel) presses that button instead
+        preview.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') { e.preventDefault(); submit(); }
+            else if (e.key === 'Escape') { e.preventDefault(); close(null); }
+        });
+
+        preview.append(title, ...fields, output, hint, actions);
+        update();
+        document.body.appendChild(preview);
+        preview.querySelector('input')?.focus();
+    });
+}
+
+/**
+ * Opens an editable version of the preview popup for a package log.
+ * The text regenerates from the template on every edit.
+ */
+export function showEditablePreview(result) {
+    const countInput = createInput('number', result.values.count);
+    countInput.min = 1;
+    // Date and time, so a package that arrived before midnight can be logged after it
+    const timeInput = createInput('datetime-local', toDateTimeInputValue(result.data.at || new Date()));
+    const roomInput = createInput('text', result.values.room);
+    const staffInput = createInput('text', result.values.staffInitials);
+
+    const render = () => {
+        const count = parseInt(countInput.value, 10);
+        if (!(count >= 1)) return 'Package count must be at least 1';
+        const at = dateFromDateTimeInput(timeInput.value);
+        if (!at) return 'Enter a date and time';
+        if (!roomInput.value.trim()) return 'Enter a room';
+
+        const values = {
+            ...result.values,
+            ...packageValues(count),
+            room: roomInput.value.trim(),
+            time: getCurrentTime(at),
+            dateTime: getFormattedDateTime(at),
+            staffInitials: staffInput.value.trim() || 'X.X'
+        };
+        const logEntry = renderTemplate(getTemplate('package'), values);
+        return { ...result, logEntry, values, data: { ...result.data, roomSpace: values.room, staffInitials: values.staffInitials } };
+    };
+
+    return openInteractivePreview('Review before copying', [
+        createPreviewField('Package count', countInput),
+        createPreviewField('Date and time (change to backdate)', timeInput),
+        createPreviewField('Room', roomInput),
+        createPreviewField('Staff initials', staffInput)
+    ], render);
+}
+
+export function createChoice(type, name, value, text) {
+    const label = document.createElement('label');
+    label.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin-bottom: 4px; cursor: pointer;';
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.value = value;
+    label.append(input, text);
+    return { label, input };
+}
+
+export function createFieldset(legendText, children) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.style.cssText = 'border: 1px solid #e3e3e3; border-radius: 4px; margin: 0 0 8px; padding: 6px 8px;';
+    const legend = document.createElement('legend');
+    legend.style.cssText = 'font-size: 11px; color: #666; padding: 0 4px;';
+    legend.textContent = legendText;
+    fieldset.append(legend, ...children);
+    return fieldset;
+}
+
+// Radio list of `reasons` plus "Other:" with a text box. getReason() returns the
+// chosen reason, '' when "Other" is still empty, or null when nothing is chosen.
+export function createReasonField(name, reasons, legendText = 'Reason') {
+    const choices = reasons.map((reason, i) => createChoice('radio', name, String(i), reason));
+    const other = createChoice('radio', name, 'other', 'Other:');
+    const otherInput = createInput('text', '');
+    otherInput.placeholder = 'Describe the reason';
+    otherInput.style.cssText = 'flex: 1; padding: 2px 6px; font-size: 12px; border: 1px solid #ccc; border-radius: 4px;';
+    otherInput.addEventListener('focus', () => { other.input.checked = true; });
+    other.label.appendChild(otherInput);
+
+    const getReason = () => {
+        const selected = [...choices, other].find(choice => choice.input.checked);
+        if (!selected) return null;
+        return selected === other ? otherInput.value.trim() : reasons[Number(selected.input.value)];
+    };
+    return { fieldset: createFieldset(legendText, [...choices.map(choice => choice.label), other.label]), getReason };
+}
+
+// Shared wording for a reason field that blocks copying
+export function describeMissingReason(reason) {
+    if (reason === null) return 'Choose a reason to continue';
+    return reason ? null : 'Type the reason under "Other" to continue';
+}
+
+/**
+ * Lockout reason picker. Copying stays blocked until a reason is chosen
+ * (or typed under "Other") and, when several key codes were found, until
+ * at least one loaned key is ticked.
+ */
+export function showReasonPicker(result) {
+    const reasonField = createReasonField('lockout-reason', state.settings.lockoutReasons);
+    const keyCodes = result.data.keyCodes;
+    const keys = keyCodes.length > 1 ? keyCodes.map(code => createChoice('checkbox', 'lockout-key', code, code)) : [];
+
+    const render = () => {
+        const reason = reasonField.getReason();
+        const missing = describeMissingReason(reason);
+        if (missing) return missing;
+
+        const loaned = keys.length ? keys.filter(key => key.input.checked).map(key => key.input.value) : keyCodes;
+        if (loaned.length === 0) return 'Tick the key(s) actually loaned';
+
+        const values = { ...result.values, keyCodes: loaned.join(', '), reason };
+        const logEntry = renderTemplate(getTemplate('lockout'), values);
+        return { ...result, logEntry, values, data: { ...result.data, keyCodes: loaned } };
+    };
+
+    const fields = [reasonField.fieldset];
+    if (keys.length) fields.push(createFieldset('Keys loaned', keys.map(key => key.label)));
+    return openInteractivePreview('Lockout details', fields, render);
+}
+
+/**
+ * Key return picker. Only the student's loaner keys (extractKeyCodes) can be
+ * logged: tick the keys handed back, or scan/type the code on each key, which
+ * ticks the matching one. A code that is not loaned to the student blocks
+ * copying.
+ */
+export function showKeyReturnPicker(result) {
+    const keys = result.data.keyCodes.map(code => createChoice('checkbox', 'returned-key', code, code));
+    if (keys.length === 1) keys[0].input.checked = true;
+    const codeInput = createInput('text', '');
+    codeInput.placeholder = 'e.g. 26AA21';
+    // Scanners press Enter after each code; only copy on Enter once every key is ticked
+    codeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && keys.some(key => !key.input.checked)) { e.preventDefault(); e.stopPropagation(); }
+    });
+
+    const render = () => {
+        const typed = codeInput.value.trim().toUpperCase();
+        if (typed) {
+            const match = keys.find(key => key.input.value.toUpperCase() === typed);
+            if (match) {
+                match.input.checked = true;
+                codeInput.value = '';
+            } else if (keys.some(key => key.input.value.toUpperCase().startsWith(typed))) {
+                return 'Finish typing the key code';
+            } else {
+                return `${typed} is not a loaner key for this student - check the key`;
+            }
+        }
+
+        const returned = keys.filter(key => key.input.checked).map(key => key.input.value);
+        if (returned.length === 0) return 'Tick or scan the key(s) returned';
+
+        const values = { ...result.values, keyCodes: returned.join(', ') };
+        const logEntry = renderTemplate(getTemplate('keyReturn'), values);
+        return { ...result, logEntry, values, data: { ...result.data, keyCodes: returned } };
+    };
+
+    return openInteractivePreview('Key return', [
+        createPreviewField('Scan or type a returned key', codeInput),
+        createFieldset('Keys returned', keys.map(key => key.label))
+    ], render);
+}
+
+/**
+ * Temporary access card picker: issued or returned, and the card number
+ * (filled in when the profile shows one).
+ */
+export function showAccessCardPicker(result) {
+    const issued = createChoice('radio', 'card-action', 'issued', 'Issued');
+    const returned = createChoice('radio', 'card-action', 'returned', 'Returned');
+    const numberInput = createInput('text', result.data.cardNumbers[0] || '');
+    numberInput.placeholder = 'Number on the card';
+
+    const render = () => {
+        const action = [issued, returned].find(choice => choice.input.checked);
+        if (!action) return 'Choose Issued or Returned';
+        const cardNumber = numberInput.value.trim().toUpperCase();
+        if (!cardNumber) return 'Enter the card number';
+
+        const values = { ...result.values, cardNumber, cardAction: action.input.value };
+        const logEntry = renderTemplate(getTemplate('accessCard'), values);
+        return { ...result, logEntry, values, data: { ...result.data, cardNumber } };
+    };
+
+    return openInteractivePreview('Temporary access card', [
+        createPreviewField('Card number', numberInput),
+        createFieldset('Card', [issued.label, returned.label])
+    ], render);
+}
+
+/**
+ * Return-to-sender picker: how many of the student's parcels go back, and why.
+ * Copying stays blocked until a reason is chosen.
+ */
+export function showReturnToSenderPicker(result) {
+    const countInput = createInput('number', result.values.count);
+    countInput.min = 1;
+    const reasonField = createReasonField('return-reason', state.settings.returnReasons);
+
+    const render = () => {
+        const count = parseInt(countInput.value, 10);
+        if (!(count >= 1)) return 'Package count must be at least 1';
+        const reason = reasonField.getReason();
+        const missing = describeMissingReason(reason);
+        if (missing) return missing;
+
+        const values = { ...result.values, ...packageValues(count), reason };
+        const logEntry = renderTemplate(getTemplate('returnToSender'), values);
+        return { ...result, logEntry, values };
+    };
+
+    return openInteractivePreview('Return to sender', [createPreviewField('Packages returned', countInput), reasonField.fieldset], render);
+}
+
+/**
+ * Blocking-style warning built on the preview popup. Resolves true when the
+ * FDA chooses Copy anyway, false on Cancel or Esc. `extraActions` adds
+ * buttons that run without closing, e.g. "Show sources".
+ */
+export function confirmWarning(titleText, messages, extraActions = []) {
+    return new Promise(resolve => {
+        const preview = createPreviewPopup(() => close(false));
+        preview.style.borderColor = '#dd6b20';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight: bold; margin-bottom: 8px; color: #dd6b20;';
+        title.textContent = titleText;
+
+        const list = document.createElement('ul');
+        list.style.cssText = 'margin: 0 0 8px; padding-left: 18px; font-size: 12px;';
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+
+        const close = (value) => { preview.remove(); resolve(value); };
+        const continueButton = createStyledButton('Copy anyway', 'linear-gradient(135deg, #dd6b20 0%, #f6ad55 100%)');
+        continueButton.style.marginLeft = '0';
+        continueButton.addEventListener('click', (e) => { e.preventDefault(); close(true); });
+        const cancelButton = createStyledButton('Cancel', '#999');
+        cancelButton.addEventListener('click', (e) => { e.preventDefault(); close(false); });
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; align-items: center; flex-wrap: wrap; gap: 6px 0;';
+        actions.append(continueButton, cancelButton, ...extraActions.map(({ text, run }) => {
+            const button = createStyledButton(text, '#667eea');
+            button.addEventListener('click', (e) => { e.preventDefault(); run(); });
+            return button;
+        }));
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'font-size: 10px; color: #999; margin-top: 8px;';
+        hint.textContent = 'Enter or Esc to cancel - select Copy anyway to continue';
+
+        preview.tabIndex = -1;
+        // Enter on a focused button presses that button (Cancel to start with);
+        // anywhere else it cancels, so continuing always takes Copy anyway
+        preview.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') { e.preventDefault(); close(false); }
+            else if (e.key === 'Escape') { e.preventDefault(); close(false); }
+        });
+
+        preview.append(title, list, actions, hint);
+        document.body.appendChild(preview);
+        cancelButton.focus();
+    });
+}
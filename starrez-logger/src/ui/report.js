@@ -0,0 +1,90 @@
+// ============================================================================
+// REPORT PROBLEM - Review and save the diagnostic bundle
+// ============================================================================
+
+import { error } from '../core/logger.js';
+import { collectDiagnostics } from '../telemetry/diagnostics.js';
+import { copyToClipboard } from './clipboard.js';
+import { createStyledButton } from './styles.js';
+import { createPreviewPopup, notify } from './toast.js';
+
+// e.g. starrez-logger-report-2026-01-23-1430.json
+function getReportFileName(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `starrez-logger-report-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}.json`;
+}
+
+function saveReport(json) {
+    const fileName = getReportFileName();
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return fileName;
+}
+
+/**
+ * Shows the redacted bundle for the open page so the FDA can see exactly what
+ * will be shared, then saves it as a file (or copies it) for a ticket.
+ */
+export function showProblemReport() {
+    let json;
+    try { json = JSON.stringify(collectDiagnostics(), null, 2); }
+    catch (err) {
+        error('Collecting diagnostics failed:', err);
+        notify({ type: 'error', title: 'Could not build the report', message: err.message });
+        return;
+    }
+
+    const preview = createPreviewPopup();
+    preview.style.borderColor = '#718096';
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: bold; margin-bottom: 8px; color: #4a5568;';
+    title.textContent = 'Report a problem';
+
+    const intro = document.createElement('div');
+    intro.style.cssText = 'font-size: 12px; margin-bottom: 8px;';
+    intro.textContent = 'This file shows what the logger found on this page. Names, student numbers, rooms and key codes are replaced with placeholders such as [NAME]. Save it and attach it to your ticket.';
+
+    const body = document.createElement('pre');
+    body.style.cssText = 'background: #f7f7f7; padding: 8px; border-radius: 4px; max-height: 300px; overflow: auto; font-size: 11px; margin: 0 0 8px; white-space: pre-wrap; word-break: break-all;';
+    body.textContent = json;
+
+    const close = () => preview.remove();
+    const saveButton = createStyledButton('Save file', 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)');
+    saveButton.style.marginLeft = '0';
+    saveButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        const fileName = saveReport(json);
+        close();
+        notify({ type: 'success', title: 'Report saved', message: `Attach ${fileName} from your Downloads folder to the ticket.` });
+    });
+    const copyButton = createStyledButton('Copy', '#718096');
+    copyButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+        if (await copyToClipboard(json)) notify({ type: 'success', title: 'Report copied', message: 'Paste it into the ticket.' });
+        else notify({ type: 'error', title: 'Could not copy to the clipboard', message: 'Use Save file instead.' });
+    });
+    const cancelButton = createStyledButton('Close', '#999');
+    cancelButton.addEventListener('click', (e) => { e.preventDefault(); close(); });
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; align-items: center;';
+    actions.append(saveButton, copyButton, cancelButton);
+
+    preview.tabIndex = -1;
+    preview.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') { e.preventDefault(); close(); }
+    });
+
+    preview.append(title, intro, body, actions);
+    document.body.appendChild(preview);
+    saveButton.focus();
+}
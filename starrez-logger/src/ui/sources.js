@@ -0,0 +1,77 @@
+// ============================================================================
+// EXTRACTION SOURCES OVERLAY - Where each field was read from
+// ============================================================================
+
+import { getStudentDataFromRez360 } from '../adapter/extractors.js';
+import { CONFIG } from '../core/config.js';
+import { state } from '../core/state.js';
+import { createStyledButton } from './styles.js';
+
+const FIELD_LABELS = { fullName: 'Name', studentNumber: 'Student #', roomSpace: 'Room' };
+const confidenceColor = (confidence) => (confidence >= 0.85 ? '#38a169' : confidence >= CONFIG.LOW_CONFIDENCE_THRESHOLD ? '#d69e2e' : '#e53e3e');
+
+export function describeSource(field, source) {
+    return `${FIELD_LABELS[field] || field}: ${source.strategy}, ${Math.round(source.confidence * 100)}%${source.note ? ` (${source.note})` : ''}`;
+}
+
+export function hideSourcesOverlay() {
+    document.getElementById('extraction-sources-overlay')?.remove();
+    window.removeEventListener('scroll', state.sourcesOverlayRedraw, true);
+    window.removeEventListener('resize', state.sourcesOverlayRedraw);
+    state.sourcesOverlayRedraw = null;
+}
+
+/**
+ * Outlines the DOM nodes each field was read from, labelled with the strategy
+ * and confidence. Redraws on scroll; Esc or the close button hides it.
+ */
+export function showSourcesOverlay() {
+    hideSourcesOverlay();
+    if (!state.lastExtraction) getStudentDataFromRez360();
+    const sources = Object.entries(state.lastExtraction?.sources || {}).filter(([, source]) => source);
+
+    const overlay = document.createElement('div');
+    overlay.id = 'extraction-sources-overlay';
+    overlay.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 10003;';
+
+    const draw = () => {
+        const boxes = sources.filter(([, source]) => source.node?.isConnected).map(([field, source]) => {
+            const rect = source.node.getBoundingClientRect();
+            const color = confidenceColor(source.confidence);
+            const box = document.createElement('div');
+            box.style.cssText = `position: absolute; left: ${rect.left - 3}px; top: ${rect.top - 3}px; width: ${rect.width + 6}px; height: ${rect.height + 6}px; border: 2px solid ${color}; border-radius: 4px;`;
+            const label = document.createElement('div');
+            label.style.cssText = `position: absolute; left: -2px; bottom: 100%; background: ${color}; color: white; font: 600 11px monospace; padding: 1px 6px; border-radius: 3px 3px 0 0; white-space: nowrap;`;
+            label.textContent = describeSource(field, source);
+            box.appendChild(label);
+            return box;
+        });
+
+        const panel = document.createElement('div');
+        panel.style.cssText = 'position: absolute; left: 20px; bottom: 20px; background: white; border: 2px solid #667eea; border-radius: 8px; padding: 10px 12px; font: 12px monospace; pointer-events: auto; box-shadow: 0 4px 20px rgba(0,0,0,0.15); max-width: 480px;';
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-weight: bold; color: #667eea; margin-bottom: 4px;';
+        heading.textContent = 'Extraction sources';
+        const lines = sources.map(([field, source]) => {
+            const line = document.createElement('div');
+            line.style.color = confidenceColor(source.confidence);
+            line.textContent = `${describeSource(field, source)}${source.node?.isConnected ? '' : ' - node not on screen'}`;
+            return line;
+        });
+        const attempts = document.createElement('div');
+        attempts.style.cssText = 'color: #999; margin-top: 4px;';
+        attempts.textContent = `Room strategies tried: ${(state.lastExtraction?.roomAttempts || []).map(a => `${a.strategy} ${a.found ? 'found' : 'no match'}`).join(', ') || 'none'}`;
+        const closeButton = createStyledButton('Close', '#999');
+        closeButton.style.cssText += 'margin: 8px 0 0; padding: 4px 10px; font-size: 12px;';
+        closeButton.addEventListener('click', hideSourcesOverlay);
+        panel.append(heading, ...(lines.length ? lines : ['No student data found on this page']), attempts, closeButton);
+
+        overlay.replaceChildren(...boxes, panel);
+    };
+
+    state.sourcesOverlayRedraw = () => requestAnimationFrame(draw);
+    window.addEventListener('scroll', state.sourcesOverlayRedraw, true);
+    window.addEventListener('resize', state.sourcesOverlayRedraw);
+    draw();
+    document.body.appendChild(overlay);
+}
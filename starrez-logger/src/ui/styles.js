@@ -0,0 +1,23 @@
+// ============================================================================
+// STYLES - Shared button look and page-level CSS
+// ============================================================================
+
+export function createStyledButton(text, gradient) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+        margin-left: 10px; padding: 8px 16px; background: ${gradient}; color: white;
+        border: none; border-radius: 6px; cursor: pointer; font-weight: 600; font-size: 14px;
+        box-shadow: 0 2px 8px rgba(102, 126, 234, 0.3); transition: all 0.2s ease;
+    `;
+    button.addEventListener('mouseenter', () => { button.style.transform = 'translateY(-2px)'; button.style.boxShadow = '0 4px 12px rgba(102, 126, 234, 0.4)'; });
+    button.addEventListener('mouseleave', () => { button.style.transform = 'translateY(0)'; button.style.boxShadow = '0 2px 8px rgba(102, 126, 234, 0.3)'; });
+    return button;
+}
+
+// Keyframes used by the notification popups
+export function injectStyles() {
+    const style = document.createElement('style');
+    style.textContent = `@keyframes slideIn { from { transform: translateX(400px); opacity: 0; } to { transform: translateX(0); opacity: 1; } }`;
+    document.head.appendChild(style);
+}
@@ -0,0 +1,130 @@
+// ============================================================================
+// TOAST - Notifications and the shared popup shell
+// ============================================================================
+// notify() shows success, warning and error notices in the top-right corner,
+// stacked newest first. Anything read from the page (names, rooms, log text)
+// is set with textContent, never parsed as HTML.
+// ============================================================================
+
+import { state } from '../core/state.js';
+import { createStyledButton } from './styles.js';
+
+const NOTICE_CONTAINER_ID = 'pkg-logger-notices';
+const MAX_NOTICES = 3;
+
+const NOTICE_COLORS = {
+    success: '#667eea',
+    warning: '#dd6b20',
+    error: '#c53030'
+};
+
+// How to close each open popup unanswered, e.g. resolve its promise with null
+const popupDismissals = new WeakMap();
+
+/**
+ * Creates the shared popup element. Only one is open at a time: a popup that
+ * is still open is closed through its `dismiss`, so whatever was waiting on
+ * it (a workflow run, a warning) finishes as cancelled.
+ */
+export function createPreviewPopup(dismiss = null) {
+    const previous = document.getElementById('log-preview-popup');
+    if (previous) {
+        popupDismissals.get(previous)?.();
+        previous.remove();
+    }
+    const preview = document.createElement('div');
+    preview.id = 'log-preview-popup';
+    if (dismiss) popupDismissals.set(preview, dismiss);
+    preview.style.cssText = `
+        position: fixed; top: 20px; right: 20px; background: white; border: 2px solid #667eea;
+        border-radius: 8px; padding: 16px; box-shadow: 0 4px 20px rgba(0,0,0,0.15); z-index: 10000;
+        max-width: 500px; font-family: monospace; font-size: 13px; animation: slideIn 0.3s ease;
+    `;
+    return preview;
+}
+
+function getNoticeContainer() {
+    let container = document.getElementById(NOTICE_CONTAINER_ID);
+    if (!container) {
+        container = document.createElement('div');
+        container.id = NOTICE_CONTAINER_ID;
+        container.style.cssText = `
+            position: fixed; top: 20px; right: 20px; z-index: 10001; width: 500px; max-width: calc(100vw - 40px);
+            display: flex; flex-direction: column; gap: 8px; pointer-events: none;
+        `;
+        document.body.appendChild(container);
+    }
+    return container;
+}
+
+function createNoticeText(text, style) {
+    const element = document.createElement('div');
+    element.style.cssText = style;
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Shows a notification. `type` is success, warning or error; `lines` are small
+ * grey text under the message, `detail` is shown in a box (e.g. the log entry)
+ * and `footer` in faint text below it. Each of `actions` ([{ text, run }])
+ * becomes a button that closes the notice and runs. Success notices close
+ * after `previewDurationSeconds`; warnings and errors stay until dismissed so
+ * an FDA busy at the counter does not miss them.
+ * Returns a function that closes the notice.
+ */
+export function notify({ type = 'success', title, message = '', detail = '', footer = '', lines = [], actions = [] }) {
+    const color = NOTICE_COLORS[type];
+    const notice = document.createElement('div');
+    notice.dataset.type = type;
+    notice.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    notice.style.cssText = `
+        position: relative; background: white; border: 2px solid ${color}; border-radius: 8px; padding: 16px;
+        box-shadow: 0 4px 20px rgba(0,0,0,0.15); font-family: monospace; font-size: 13px;
+        animation: slideIn 0.3s ease; pointer-events: auto;
+    `;
+
+    let timer = null;
+    const close = () => { clearTimeout(timer); notice.remove(); };
+
+    const dismiss = document.createElement('button');
+    dismiss.textContent = '×';
+    dismiss.title = 'Dismiss';
+    dismiss.style.cssText = 'position: absolute; top: 6px; right: 8px; border: none; background: none; font-size: 16px; color: #999; cursor: pointer;';
+    dismiss.addEventListener('click', (e) => { e.preventDefault(); close(); });
+
+    notice.append(dismiss, createNoticeText(title, `font-weight: bold; margin: 0 16px 8px 0; color: ${color};`));
+    if (message) notice.appendChild(createNoticeText(message, 'margin-bottom: 4px;'));
+    lines.forEach(line => notice.appendChild(createNoticeText(line, 'font-size: 11px; color: #999; margin-bottom: 4px;')));
+    if (detail) notice.appendChild(createNoticeText(detail, 'background: #f7f7f7; padding: 8px; border-radius: 4px; word-break: break-all; white-space: pre-wrap; font-weight: 600; user-select: all;'));
+    if (footer) notice.appendChild(createNoticeText(footer, 'font-size: 10px; color: #ccc; margin-top: 8px; white-space: pre-wrap;'));
+
+    if (actions.length) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; flex-wrap: wrap; gap: 6px 0; margin-top: 8px;';
+        actions.forEach(({ text, run }, i) => {
+            const button = createStyledButton(text, i === 0 ? color : '#999');
+            if (i === 0) button.style.marginLeft = '0';
+            button.addEventListener('click', (e) => { e.preventDefault(); close(); run(); });
+            row.appendChild(button);
+        });
+        notice.appendChild(row);
+    }
+
+    const container = getNoticeContainer();
+    container.prepend(notice);
+    [...container.children].slice(MAX_NOTICES).forEach(old => old.remove());
+    if (type === 'success') timer = setTimeout(close, state.settings.previewDurationSeconds * 1000);
+    return close;
+}
+
+export function showPreview(text, data) {
+    const student = `Student: ${data.fullName}`;
+    notify({
+        type: 'success',
+        title: 'Copied to Clipboard',
+        lines: [`Logged by: ${data.staffName || 'Unknown'}`],
+        detail: text,
+        footer: data.keyCodes ? `${student}\nKeys: ${data.keyCodes.join(', ')}` : `${student}\nRoom: ${data.roomSpace}`
+    });
+}
@@ -0,0 +1,154 @@
+// ============================================================================
+// GUARDS - Checks run before anything is copied
+// ============================================================================
+// Each confirm* function resolves true when it is fine to continue and
+// false when the FDA cancelled the warning.
+// ============================================================================
+
+import { getCurrentDesk } from '../adapter/extractors.js';
+import { CONFIG } from '../core/config.js';
+import { formatDisplayName, getCurrentTime } from '../core/format.js';
+import { error, log } from '../core/logger.js';
+import { RESIDENCES, parseRoomCode } from '../core/residences.js';
+import { getSessionValue, removeSessionValue, setSessionValue } from '../core/session.js';
+import { clearTimer, state } from '../core/state.js';
+import { WORKFLOW_TEMPLATES } from '../core/templates.js';
+import { getShift, getShiftEnd } from '../telemetry/storage.js';
+import { confirmWarning } from '../ui/popups.js';
+import { describeSource, hideSourcesOverlay, showSourcesOverlay } from '../ui/sources.js';
+
+// ----------------------------------------------------------------------------
+// LOW CONFIDENCE
+// ----------------------------------------------------------------------------
+
+// Returns true when it is fine to copy (confident, or the FDA chose to continue)
+export async function confirmLowConfidence(result) {
+    const { sources, confidence } = result.data;
+    if (!sources || confidence >= CONFIG.LOW_CONFIDENCE_THRESHOLD) return true;
+
+    const doubtful = Object.entries(sources).filter(([, source]) => source.confidence < CONFIG.LOW_CONFIDENCE_THRESHOLD);
+    const proceed = await confirmWarning('Check this entry before copying', [
+        `${result.logEntry.split('\n')[0]}`,
+        ...doubtful.map(([field, source]) => `Unsure about ${describeSource(field, source)}`)
+    ], [{ text: 'Show sources', run: showSourcesOverlay }]);
+    hideSourcesOverlay();
+    return proceed;
+}
+
+// ----------------------------------------------------------------------------
+// DUPLICATE GUARD (current shift only)
+// ----------------------------------------------------------------------------
+// Recent entries live in chrome.storage.session - shared by every StarRez tab,
+// never written to disk - and hold only a hash of the student number, the
+// workflow, the time and the staff initials. Entries from an earlier shift are
+// dropped on every read, and the whole record is cleared when the shift ends.
+// ----------------------------------------------------------------------------
+
+const RECENT_ENTRIES_KEY = 'recentEntries';
+// Workflows checked for duplicates, and what a genuine second entry would be
+const DUPLICATE_GUARDED_WORKFLOWS = { package: 'delivery', lockout: 'lockout', keyReturn: 'key return', returnToSender: 'return to sender' };
+
+const getShiftId = (date = new Date()) => { const shift = getShift(date); return `${shift.dateKey}/${shift.name}`; };
+
+// Salted with the shift so the same student hashes differently every shift
+async function hashStudentNumber(studentNumber) {
+    const bytes = new TextEncoder().encode(`${getShiftId()}:${studentNumber}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function loadRecentEntries() {
+    const stored = await getSessionValue(RECENT_ENTRIES_KEY);
+    const shiftId = getShiftId();
+    return (stored || []).filter(entry => entry.shiftId === shiftId);
+}
+
+// Rejects when the recent entries cannot be read, so callers can warn that
+// the check did not run rather than treat it as "no duplicate"
+export async function findRecentEntry(studentNumber, workflow) {
+    if (!(workflow in DUPLICATE_GUARDED_WORKFLOWS) || !state.settings.duplicateWindowMinutes) return null;
+    const hash = await hashStudentNumber(studentNumber);
+    const since = Date.now() - state.settings.duplicateWindowMinutes * 60000;
+    return (await loadRecentEntries()).reverse().find(entry => entry.hash === hash && entry.workflow === workflow && entry.at >= since) || null;
+}
+
+// Read-modify-writes of the record run one after another, so quick clicks
+// never overwrite each other's entries
+let recentEntriesWrite = Promise.resolve();
+
+/**
+ * Records every `{ studentNumber, staffInitials }` row in a single write, e.g.
+ * all the lines of a batch.
+ */
+export function recordRecentEntries(rows, workflow) {
+    if (!(workflow in DUPLICATE_GUARDED_WORKFLOWS) || rows.length === 0) return Promise.resolve();
+    const write = recentEntriesWrite.then(async () => {
+        const at = Date.now();
+        const shiftId = getShiftId();
+        const added = await Promise.all(rows.map(async ({ studentNumber, staffInitials }) => ({
+            hash: await hashStudentNumber(studentNumber), workflow, at, staffInitials, shiftId
+        })));
+        await setSessionValue(RECENT_ENTRIES_KEY, [...await loadRecentEntries(), ...added]);
+    });
+    recentEntriesWrite = write.catch(() => {});
+    return write;
+}
+
+export const recordRecentEntry = (studentNumber, workflow, staffInitials) => recordRecentEntries([{ studentNumber, staffInitials }], workflow);
+
+export const describeRecentEntry = (entry) => `already logged at ${getCurrentTime(new Date(entry.at))} by ${entry.staffInitials}`;
+
+// Returns true when it is fine to copy (no recent entry, or the FDA confirmed)
+export async function confirmNotDuplicate(result, workflow) {
+    let entry;
+    try { entry = await findRecentEntry(result.data.studentNumber, workflow); }
+    catch (err) {
+        error('Duplicate check failed:', err);
+        return confirmWarning('Could not check for duplicates', [
+            `This shift's earlier entries could not be read, so a second ${DUPLICATE_GUARDED_WORKFLOWS[workflow]} for ${formatDisplayName(result.data.fullName)} would not be caught.`,
+            'Check the log before copying. Reloading the extension at chrome://extensions usually fixes this.'
+        ]);
+    }
+    if (!entry) return true;
+    return confirmWarning(`Possible duplicate ${WORKFLOW_TEMPLATES[workflow].name.toLowerCase()}`, [
+        `${formatDisplayName(result.data.fullName)} was ${describeRecentEntry(entry)} this shift.`,
+        `Copy again only if this is a separate ${DUPLICATE_GUARDED_WORKFLOWS[workflow]}.`
+    ]);
+}
+
+// Clears the record at the end of each shift, then re-arms for the next one
+export function scheduleShiftClear() {
+    clearTimer('shiftClear');
+    state.timers.shiftClear = setTimeout(() => {
+        removeSessionValue(RECENT_ENTRIES_KEY).catch(err => error('Clearing recent entries failed:', err));
+        log('Shift ended - recent entries cleared');
+        scheduleShiftClear();
+    }, getShiftEnd().getTime() - Date.now() + 1000);
+}
+
+// ----------------------------------------------------------------------------
+// RESIDENCE CHECK
+// ----------------------------------------------------------------------------
+
+const RESIDENCE_CHECKED_WORKFLOWS = ['package', 'label', 'returnToSender'];
+
+// The student's residence when it is not the desk being worked, else null.
+// Rooms whose prefix is not a known residence (e.g. BH-204a) are never flagged.
+export function getResidenceMismatch(roomSpace) {
+    const desk = getCurrentDesk();
+    const residence = parseRoomCode(roomSpace)?.residence;
+    return desk && residence in RESIDENCES && residence !== desk ? { desk, residence } : null;
+}
+
+const residenceName = (code) => RESIDENCES[code]?.name || code;
+
+// Returns true when it is fine to continue (right desk, unknown, or confirmed)
+export async function confirmResidenceMatch(result, workflow) {
+    if (!RESIDENCE_CHECKED_WORKFLOWS.includes(workflow)) return true;
+    const mismatch = getResidenceMismatch(result.data.roomSpace);
+    if (!mismatch) return true;
+    return confirmWarning(`Not a ${mismatch.desk} room`, [
+        `${formatDisplayName(result.data.fullName)} lives in ${result.data.roomSpace} (${residenceName(mismatch.residence)}), but this is the ${residenceName(mismatch.desk)} desk.`,
+        'Check the parcel was delivered to the right desk before logging it here.'
+    ]);
+}
@@ -0,0 +1,236 @@
+// ============================================================================
+// WORKFLOW REGISTRY - Generators and the actions that run them
+// ============================================================================
+// Each workflow (package, lockout, label, key return, temp access card,
+// return to sender) turns extracted student data
+// into template values and a rendered entry. ACTIONS lists what the
+// buttons, keyboard shortcuts and command palette can run.
+// ============================================================================
+
+import { describeMissingStudentData, extractAccessCardNumbers, extractKeyCodes, findAccessCardAnchor, findEntryActionsButton, findIssueButtons, findKeysAnchor, getActivePanel, getParcelCount, getReportKind, getStaffName, getStudentDataFromRez360, getText, isProfilePage, parseReportRows } from '../adapter/extractors.js';
+import { formatDisplayName, getCurrentTime, getFormattedDateTime, getInitials, packageValues } from '../core/format.js';
+import { formatRoom, parseRoomCode } from '../core/residences.js';
+import { state } from '../core/state.js';
+import { WORKFLOW_TEMPLATES, renderTemplate } from '../core/templates.js';
+
+export const isWorkflowEnabled = (workflow) => state.settings.enabledWorkflows.includes(workflow);
+
+// The FDA signed in with the desk switcher, else the StarRez login
+export function getActiveStaff() {
+    if (state.deskIdentity) return { name: state.deskIdentity.name, initials: state.deskIdentity.initials, source: 'desk' };
+    const name = getStaffName();
+    return { name, initials: name ? getInitials(name) : 'X.X', source: name ? 'starrez' : null };
+}
+
+export const getTemplate = (workflow) => state.settings.templates[workflow] || WORKFLOW_TEMPLATES[workflow].defaultTemplate;
+
+// Placeholder values every workflow can use; generators add their own extras
+export function buildTemplateValues(studentData, staffInitials, at = new Date()) {
+    return {
+        initials: getInitials(studentData.fullName),
+        fullName: formatDisplayName(studentData.fullName),
+        studentNumber: studentData.studentNumber,
+        room: formatRoom(studentData.roomSpace, state.settings.roomFormats),
+        residence: parseRoomCode(studentData.roomSpace)?.residence || '',
+        time: getCurrentTime(at),
+        dateTime: getFormattedDateTime(at),
+        staffInitials
+    };
+}
+
+// `retryable` errors get a Retry button: the page may simply not have finished loading
+const studentDataMissing = () => ({ success: false, error: describeMissingStudentData(), retryable: true });
+
+export function generateLogEntry(packageCount = 1) {
+    try {
+        const studentData = getStudentDataFromRez360();
+        if (!studentData) return studentDataMissing();
+        
+        const { name: staffName, initials: staffInitials } = getActiveStaff();
+        const at = new Date();
+        const values = { ...buildTemplateValues(studentData, staffInitials, at), ...packageValues(packageCount) };
+        
+        const logEntry = renderTemplate(getTemplate('package'), values);
+        
+        // `at` is where the editable preview's date and time start
+        return { success: true, logEntry, values, data: { ...studentData, staffInitials, staffName, at } };
+    } catch (err) { return { success: false, error: err.message }; }
+}
+
+export function generateLockoutEntry() {
+    try {
+        const studentData = getStudentDataFromRez360();
+        if (!studentData) return studentDataMissing();
+        
+        const keyCodes = extractKeyCodes(studentData.fullName, studentData.studentNumber);
+        if (!keyCodes || keyCodes.length === 0) return { success: false, error: 'No Loaner Keys found for this student', retryable: true };
+        
+        const { name: staffName, initials: staffInitials } = getActiveStaff();
+        // The reason is chosen afterwards in the picker (showReasonPicker)
+        const values = { ...buildTemplateValues(studentData, staffInitials), keyCodes: keyCodes.join(', '), reason: '[Reason]' };
+        
+        const logEntry = renderTemplate(getTemplate('lockout'), values);
+        
+        return { success: true, logEntry, values, data: { ...studentData, keyCodes, staffInitials, staffName } };
+    } catch (err) { return { success: false, error: err.message }; }
+}
+
+export function generatePackageLabel() {
+    try {
+        const studentData = getStudentDataFromRez360();
+        if (!studentData) return studentDataMissing();
+        
+        const { name: staffName, initials: staffInitials } = getActiveStaff();
+        const values = buildTemplateValues(studentData, staffInitials);
+        
+        const labelText = renderTemplate(getTemplate('label'), values);
+        return { success: true, logEntry: labelText, values, data: { ...studentData, dateTime: values.dateTime, staffInitials, staffName } };
+    } catch (err) { return { success: false, error: err.message }; }
+}
+
+// The FDA ticks the keys actually handed back in the key return picker
+export function generateKeyReturnEntry() {
+    try {
+        const studentData = getStudentDataFromRez360();
+        if (!studentData) return studentDataMissing();
+
+        const keyCodes = extractKeyCodes(studentData.fullName, studentData.studentNumber);
+        if (!keyCodes || keyCodes.length === 0) return { success: false, error: 'No Loaner Keys found for this student', retryable: true };
+
+        const { name: staffName, initials: staffInitials } = getActiveStaff();
+        const values = { ...buildTemplateValues(studentData, staffInitials), keyCodes: keyCodes.join(', ') };
+
+        const logEntry = renderTemplate(getTemplate('keyReturn'), values);
+
+        return { success: true, logEntry, values, data: { ...studentData, keyCodes, staffInitials, staffName } };
+    } catch (err) { return { success: false, error: err.message }; }
+}
+
+// Issue or return and the card number are chosen in the picker; a card shown
+// on the profile is suggested there
+export function generateAccessCardEntry() {
+    try {
+        const studentData = getStudentDataFromRez360();
+        if (!studentData) return studentDataMissing();
+
+        const cardNumbers = extractAccessCardNumbers(studentData.studentNumber);
+        const { name: staffName, initials: staffInitials } = getActiveStaff();
+        const values = { ...buildTemplateValues(studentData, staffInitials), cardNumber: cardNumbers[0] || '[Card]', cardAction: '[issued/returned]' };
+
+        const logEntry = renderTemplate(getTemplate('accessCard'), values);
+
+        return { success: true, logEntry, values, data: { ...studentData, cardNumbers, staffInitials, staffName } };
+    } catch (err) { return { success: false, error: err.message }; }
+}
+
+export function generateReturnToSenderEntry(packageCount = 1) {
+    try {
+        const studentData = getStudentDataFromRez360();
+        if (!studentData) return studentDataMissing();
+
+        const { name: staffName, initials: staffInitials } = getActiveStaff();
+        // The reason is chosen afterwards in the picker (showReturnToSenderPicker)
+        const values = { ...buildTemplateValues(studentData, staffInitials), ...packageValues(packageCount), reason: '[Reason]' };
+
+        const logEntry = renderTemplate(getTemplate('returnToSender'), values);
+
+        return { success: true, logEntry, values, data: { ...studentData, staffInitials, staffName } };
+    } catch (err) { return { success: false, error: err.message }; }
+}
+
+const GENERATORS = {
+    package: generateLogEntry,
+    lockout: generateLockoutEntry,
+    label: generatePackageLabel,
+    keyReturn: generateKeyReturnEntry,
+    accessCard: generateAccessCardEntry,
+    returnToSender: generateReturnToSenderEntry
+};
+
+export function generateWorkflowResult(type, count = 1) {
+    return GENERATORS[type](count);
+}
+
+// Keyed by the extension command names in manifest.json
+export const ACTIONS = {
+    'copy-log': {
+        type: 'package', buttonId: 'pkg-btn-0',
+        gradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        label: () => 'Copy Log',
+        getCount: () => 1,
+        isAvailable: () => isWorkflowEnabled('package') && findIssueButtons().length > 0
+    },
+    'copy-all-packages': {
+        type: 'package', buttonId: 'pkg-master',
+        gradient: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)',
+        label: () => `Copy ${getParcelCount()} pkgs`,
+        getCount: getParcelCount,
+        isAvailable: () => isWorkflowEnabled('package') && getParcelCount() > 1
+    },
+    'copy-lockout': {
+        type: 'lockout', buttonId: 'lockout-log-btn',
+        gradient: 'linear-gradient(135deg, #fa709a 0%, #fee140 100%)',
+        label: () => 'Copy Lockout',
+        getCount: () => 1,
+        isAvailable: () => isWorkflowEnabled('lockout') && isProfilePage() && !!findKeysAnchor()
+    },
+    'print-label': {
+        type: 'label', buttonId: 'pkg-label',
+        gradient: 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)',
+        label: () => 'Print Label',
+        getCount: () => 1,
+        isAvailable: () => isWorkflowEnabled('label') && !!findEntryActionsButton()
+    },
+    'copy-key-return': {
+        type: 'keyReturn', buttonId: 'key-return-btn',
+        gradient: 'linear-gradient(135deg, #30cfd0 0%, #330867 100%)',
+        label: () => 'Key Return',
+        getCount: () => 1,
+        isAvailable: () => isWorkflowEnabled('keyReturn') && isProfilePage() && !!findKeysAnchor()
+    },
+    'copy-access-card': {
+        type: 'accessCard', buttonId: 'access-card-btn',
+        gradient: 'linear-gradient(135deg, #5ee7df 0%, #b490ca 100%)',
+        label: () => 'Temp Card',
+        getCount: () => 1,
+        isAvailable: () => isWorkflowEnabled('accessCard') && isProfilePage() && !!findAccessCardAnchor()
+    },
+    'copy-return-to-sender': {
+        type: 'returnToSender', buttonId: 'rts-btn',
+        gradient: 'linear-gradient(135deg, #f6d365 0%, #fda085 100%)',
+        label: () => 'Return to Sender',
+        getCount: () => getParcelCount(),
+        isAvailable: () => isWorkflowEnabled('returnToSender') && getParcelCount() > 0
+    },
+    'show-sources': {
+        type: 'debug', buttonId: null,
+        gradient: null,
+        label: () => 'Show extraction sources',
+        getCount: () => 1,
+        isAvailable: isProfilePage
+    },
+    'switch-staff': {
+        type: 'desk', buttonId: null,
+        gradient: null,
+        label: () => "Switch who's on desk",
+        getCount: () => 1,
+        isAvailable: () => true
+    },
+    'batch-log': {
+        type: 'batch', buttonId: 'batch-log-btn',
+        gradient: 'linear-gradient(135deg, #43e97b 0%, #38f9d7 100%)',
+        label: () => 'Batch Log',
+        getCount: () => parseReportRows().length,
+        isAvailable: () => {
+            const kind = getReportKind(getText(getActivePanel()));
+            return !!kind && isWorkflowEnabled(kind === 'keys' ? 'lockout' : 'package');
+        }
+    },
+    'report-problem': {
+        type: 'report', buttonId: null,
+        gradient: null,
+        label: () => 'Report problem',
+        getCount: () => 1,
+        isAvailable: () => true
+    }
+};
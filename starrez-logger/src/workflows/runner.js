@@ -0,0 +1,154 @@
+// ============================================================================
+// RUNNER - Runs a workflow, a batch or an action end to end
+// ============================================================================
+
+import { getActivePanel, getReportKind, getText, parseReportRows } from '../adapter/extractors.js';
+import { error } from '../core/logger.js';
+import { state } from '../core/state.js';
+import { recordUsage } from '../telemetry/storage.js';
+import { showBatchChecklist } from '../ui/batch.js';
+import { handleButtonClick } from '../ui/buttons.js';
+import { copyToClipboard } from '../ui/clipboard.js';
+import { ensureStaffKnown, openDeskSwitcher } from '../ui/desk.js';
+import { showLabelView } from '../ui/label.js';
+import { showAccessCardPicker, showEditablePreview, showKeyReturnPicker, showReasonPicker, showReturnToSenderPicker } from '../ui/popups.js';
+import { showProblemReport } from '../ui/report.js';
+import { showSourcesOverlay } from '../ui/sources.js';
+import { notify, showPreview } from '../ui/toast.js';
+import { confirmLowConfidence, confirmNotDuplicate, confirmResidenceMatch, findRecentEntry, recordRecentEntries, recordRecentEntry } from './guards.js';
+import { ACTIONS, generateWorkflowResult, getActiveStaff } from './registry.js';
+
+// Workflows whose details (reason, keys, card) are chosen in a popup before copying
+const DETAIL_PICKERS = {
+    lockout: showReasonPicker,
+    keyReturn: showKeyReturnPicker,
+    accessCard: showAccessCardPicker,
+    returnToSender: showReturnToSenderPicker
+};
+
+/**
+ * Copies and shows the "Copied to Clipboard" notice, then runs `onCopied`.
+ * If every clipboard method is refused, an error notice shows the text so it
+ * can be selected by hand, with "Copy again" (a fresh click usually succeeds).
+ */
+async function copyAndConfirm(text, spreadsheet, data, onCopied) {
+    if (await copyToClipboard(text, spreadsheet)) {
+        showPreview(text, data);
+        onCopied();
+        return true;
+    }
+    notify({
+        type: 'error',
+        title: 'Could not copy to the clipboard',
+        message: 'The browser blocked clipboard access — copy again, or select the text below and press Ctrl+C.',
+        detail: text,
+        actions: [{ text: 'Copy again', run: () => copyAndConfirm(text, spreadsheet, data, onCopied) }]
+    });
+    return false;
+}
+
+// Failed generators: `retryable` ones (the profile was still loading) get a
+// Retry button; all get "Report problem" for when retrying does not help
+function notifyWorkflowError(result, retry) {
+    const report = { text: 'Report problem', run: showProblemReport };
+    notify({
+        type: 'error',
+        title: 'Nothing was copied',
+        message: result.retryable ? `${result.error} — retry` : result.error,
+        actions: result.retryable ? [{ text: 'Retry', run: retry }, report] : [report]
+    });
+}
+
+/**
+ * Runs a workflow end to end: extraction and validation, any interactive step
+ * (editable preview, detail picker, label view), then clipboard and usage
+ * count. Buttons, keyboard shortcuts and the palette all come through here.
+ * Resolves with the final result ({ copied } or { printed }), or null if the
+ * FDA cancelled.
+ */
+export async function runWorkflow(type, count = 1) {
+    if (!await ensureStaffKnown()) return null;
+    let result = generateWorkflowResult(type, count);
+    
+    if (result.success && !await confirmLowConfidence(result)) return null;
+    if (result.success && !await confirmNotDuplicate(result, type)) return null;
+    if (result.success && !await confirmResidenceMatch(result, type)) return null;
+    if (result.success && type === 'package' && state.settings.previewBeforeCopy) {
+        result = await showEditablePreview(result);
+        if (!result) return null;
+    }
+    if (result.success && DETAIL_PICKERS[type]) {
+        result = await DETAIL_PICKERS[type](result);
+        if (!result) return null;
+    }
+    if (result.success && type === 'label') {
+        const outcome = await showLabelView(result);
+        if (!outcome) return null;
+        if (outcome.printed) {
+            recordUsage(getActiveStaff().name, type).catch(err => error('Usage count failed:', err));
+            return { ...result, printed: true };
+        }
+        // ZPL/EPL are printer commands, never spreadsheet rows
+        result = { ...result, logEntry: outcome.text, plainOnly: outcome.format !== 'text' };
+    }
+    
+    if (result.success) {
+        const spreadsheet = result.plainOnly ? null : { workflow: type, rows: [result.values] };
+        const copied = await copyAndConfirm(result.logEntry, spreadsheet, result.data, () => {
+            recordRecentEntry(result.data.studentNumber, type, result.values.staffInitials).catch(err => error('Recording entry failed:', err));
+            recordUsage(getActiveStaff().name, type).catch(err => error('Usage count failed:', err));
+        });
+        if (copied) return { ...result, copied: true };
+    } else { notifyWorkflowError(result, () => runWorkflow(type, count)); }
+    return result;
+}
+
+export async function runBatch() {
+    const container = getActivePanel();
+    const kind = getReportKind(getText(container));
+    const rows = parseReportRows();
+    if (!kind || rows.length === 0) {
+        notify({ type: 'warning', title: 'Nothing to batch', message: 'No report rows found on this page — wait for the report to load, then retry', actions: [{ text: 'Retry', run: runBatch }] });
+        return null;
+    }
+    if (!await ensureStaffKnown()) return null;
+
+    const workflow = kind === 'keys' ? 'lockout' : 'package';
+    const recentEntries = {};
+    try {
+        for (const row of rows) {
+            const entry = await findRecentEntry(row.studentNumber, workflow);
+            if (entry) recentEntries[row.studentNumber] = entry;
+        }
+    } catch (err) {
+        error('Duplicate check failed:', err);
+        notify({ type: 'warning', title: 'Could not check for duplicates', message: "This shift's earlier entries could not be read — check the log before copying the batch." });
+    }
+    const result = await showBatchChecklist(rows, kind, recentEntries);
+    if (!result) return null;
+    const copied = await copyAndConfirm(result.logEntry, { workflow, rows: result.valueRows }, result.data, () => {
+        recordRecentEntries(result.valueRows, workflow).catch(err => error('Recording entries failed:', err));
+        recordUsage(getActiveStaff().name, workflow, { amount: result.entryCount }).catch(err => error('Usage count failed:', err));
+    });
+    if (!copied) return null;
+    return { ...result, copied: true };
+}
+
+// Goes through the injected button when it exists so it shows the usual
+// feedback; otherwise runs the same workflow directly.
+export async function runAction(actionId) {
+    const action = ACTIONS[actionId];
+    if (!action) return;
+    if (!action.isAvailable()) {
+        notify({ type: 'warning', title: `${action.label()} is not available on this page`, actions: [{ text: 'Retry', run: () => runAction(actionId) }] });
+        return;
+    }
+    
+    if (action.type === 'batch') return runBatch();
+    if (action.type === 'debug') return showSourcesOverlay();
+    if (action.type === 'desk') return openDeskSwitcher();
+    if (action.type === 'report') return showProblemReport();
+    const button = document.getElementById(action.buttonId);
+    if (button) return handleButtonClick(button, action.getCount(), action.label(), action.gradient, action.type);
+    return runWorkflow(action.type, action.getCount());
+}
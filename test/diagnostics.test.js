@@ -0,0 +1,83 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadFixture } from './helpers.js';
+import { log } from '../starrez-logger/src/core/logger.js';
+import { mergeSettings } from '../starrez-logger/src/core/settings.js';
+import { state } from '../starrez-logger/src/core/state.js';
+import { collectDiagnostics } from '../starrez-logger/src/telemetry/diagnostics.js';
+
+// Everything personal in the fixtures
+const PERSONAL = ['Nguyen', 'Sam', '20991234', 'UWP-BECK-204', '4471B', '26AA21', 'T014', 'Tremblay', 'Alex', 'A.T', 'S.N', 'Okafor', '20995678', 'CLV-ER-110b', '482913'];
+
+const expectRedacted = (bundle) => {
+    const json = JSON.stringify(bundle);
+    PERSONAL.forEach(value => expect(json).not.toContain(value));
+};
+
+beforeEach(() => {
+    vi.stubGlobal('chrome', { runtime: { getManifest: () => ({ version: '1.0' }) } });
+    state.settings = mergeSettings();
+    state.deskIdentity = null;
+});
+
+describe('diagnostics on a profile', () => {
+    beforeEach(() => loadFixture('profile.html'));
+
+    it('records which extraction steps worked', () => {
+        const { extraction, anchors, version } = collectDiagnostics();
+        expect(version).toBe('1.0');
+        expect(extraction.getStudentDataFromRez360).toEqual({ ok: true, confidence: 0.75 });
+        expect(extraction.studentNumber).toMatchObject({ ok: true, strategy: 'student-number-label', validFormat: true });
+        expect(extraction.extractBedspace.strategies).toEqual([{ strategy: 'room-pair', found: false }, { strategy: 'rez360-section', found: true }]);
+        expect(extraction.extractKeyCodes).toEqual({ ok: true, count: 2 });
+        expect(anchors).toMatchObject({ issueButtons: 2, parcelCount: 2, keysSection: true, accessCardSection: true });
+    });
+
+    it('says which step failed', () => {
+        document.querySelector('.details').remove();
+        const { extraction } = collectDiagnostics();
+        expect(extraction.getStudentDataFromRez360).toEqual({ ok: false, reason: 'Student number not loaded yet' });
+        expect(extraction.studentNumber).toEqual({ ok: false, validFormat: null });
+    });
+
+    it('outlines the panel with labels but no personal data', () => {
+        log('Report Mode - Filtering for ID: 20991234 (Nguyen, Sam)');
+        const bundle = collectDiagnostics();
+        expect(bundle.panel).toContain('  section.details');
+        expect(bundle.panel).toContain('      label "Student Number"');
+        expect(bundle.panel).toContain('      span (8 chars)');
+        expect(bundle.panel).toContain('      li "LOANER" (20 chars)');
+        expect(bundle.log.at(-1).message).toBe('Report Mode - Filtering for ID: [STUDENT_NUMBER] ([NAME])');
+        expectRedacted(bundle);
+    });
+
+    it('leaves out the text of activity rows', () => {
+        const activity = Array.from(document.querySelectorAll('section')).find(section => section.textContent === 'Activity');
+        ['Parcel picked up by roommate Jordan Diaz for Room 204', 'Mail key issued to Priya Patel'].forEach(text => {
+            const row = document.createElement('div');
+            row.textContent = text;
+            activity.appendChild(row);
+        });
+        const bundle = collectDiagnostics();
+        expect(bundle.panel).toContain('    div "Parcel" (53 chars)');
+        expect(bundle.panel).toContain('    div "Mail" (30 chars)');
+        ['Jordan', 'Diaz', 'roommate', '204', 'Priya', 'Patel'].forEach(value => expect(JSON.stringify(bundle)).not.toContain(value));
+    });
+
+    it('redacts the FDA signed in on desk', () => {
+        state.deskIdentity = { name: 'Jordan Diaz', initials: 'J.D' };
+        log('Desk sign-in: Jordan Diaz (J.D)');
+        const json = JSON.stringify(collectDiagnostics());
+        expect(json).not.toContain('Jordan');
+        expect(json).not.toContain('J.D');
+    });
+});
+
+describe('diagnostics on a report', () => {
+    it('counts rows without listing them', () => {
+        loadFixture('parcels.html');
+        const bundle = collectDiagnostics();
+        expect(bundle.page.reportKind).toBe('parcels');
+        expect(bundle.extraction.reportRows).toBe(2);
+        expectRedacted(bundle);
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import { loadFixture } from './helpers.js';
+import {
+    extractBedspace, extractKeyCodes, findEntryActionsButton, findIssueButtons, findKeysAnchor, getActivePanel,
+    getCurrentBreadcrumb, getCurrentDesk, getParcelCount, getReportKind, getStaffName, getStudentDataFromRez360,
+    getText, isProfilePage, parseReportRows
+} from '../starrez-logger/src/adapter/extractors.js';
+
+describe('profile page', () => {
+    beforeEach(() => loadFixture('profile.html'));
+
+    it('reads the logged-in FDA, the student and the desk from the header', () => {
+        expect(getStaffName()).toBe('Tremblay, Alex');
+        expect(getCurrentBreadcrumb()).toBe('Nguyen, Sam');
+        expect(getCurrentDesk()).toBe('UWP');
+    });
+
+    it('reads only the visible tab panel', () => {
+        expect(getActivePanel().querySelector('h1').textContent).toBe('Nguyen, Sam');
+        expect(getText(getActivePanel())).not.toContain('CLV-ER-110b');
+        expect(isProfilePage()).toBe(true);
+    });
+
+    it('extracts the student with sources and confidence', () => {
+        const data = getStudentDataFromRez360();
+        expect(data).toMatchObject({ fullName: 'Nguyen, Sam', studentNumber: '20991234', roomSpace: 'UWP-BECK-204a' });
+        expect(data.sources.roomSpace.strategy).toBe('rez360-section');
+        expect(data.sources.studentNumber.node.textContent).toBe('20991234');
+        expect(data.confidence).toBe(0.75);
+    });
+
+    it('takes the second half of "Room X/Y"', () => {
+        expect(extractBedspace('Room UWP-BECK-204a/UWP-BECK-204b')).toBe('UWP-BECK-204b');
+        expect(extractBedspace('Rez 360\nRoom Space MKV-W-302a\nActivity')).toBe('MKV-W-302a');
+        expect(extractBedspace('No room here')).toBeNull();
+    });
+
+    it('extracts key codes, skipping lowercase values and the student number', () => {
+        expect(extractKeyCodes('Nguyen, Sam', '20991234')).toEqual(['4471B', '26AA21']);
+    });
+
+    it('finds where each button goes', () => {
+        expect(findIssueButtons()).toHaveLength(2);
+        expect(getParcelCount()).toBe(2);
+        expect(findKeysAnchor().textContent).toBe('KEYS');
+        expect(findEntryActionsButton().textContent).toBe('Entry Actions');
+    });
+
+    it('returns nothing when the profile has not loaded', () => {
+        getActivePanel().querySelector('.details').remove();
+        expect(getStudentDataFromRez360()).toBeNull();
+    });
+});
+
+describe('parcels report', () => {
+    beforeEach(() => loadFixture('parcels.html'));
+
+    it('is recognised as a parcels report', () => {
+        expect(getReportKind(getText(getActivePanel()))).toBe('parcels');
+        expect(isProfilePage()).toBe(false);
+    });
+
+    it('merges rows per student and drops rows without a student number', () => {
+        const rows = parseReportRows();
+        expect(rows.map(row => [row.fullName, row.studentNumber, row.roomSpace, row.count])).toEqual([
+            ['Nguyen, Sam', '20991234', 'UWP-BECK-204a', 2],
+            ['Okafor, Chidi', '20995678', 'CLV-ER-110b', 2]
+        ]);
+        expect(rows[0].time).toEqual(new Date(2026, 0, 23, 11, 0));
+    });
+});
+
+describe('loaner keys report', () => {
+    beforeEach(() => loadFixture('loaner-keys.html'));
+
+    it('is recognised as the loaner keys report', () => {
+        expect(getReportKind(getText(getActivePanel()))).toBe('keys');
+    });
+
+    it('combines each student\'s key codes', () => {
+        const rows = parseReportRows();
+        expect(rows.map(row => [row.studentNumber, row.keyCodes])).toEqual([
+            ['20991234', ['26AA21', '26AA22']],
+            ['20995678', ['27BB10']],
+            ['20990042', []]
+        ]);
+    });
+});
@@ -0,0 +1,115 @@
+// @vitest-environment node
+// core/ must work without a DOM: these run in plain Node.
+import { describe, expect, it } from 'vitest';
+import { buildSpreadsheetOutput, formatDisplayName, getCurrentTime, getFormattedDateTime, getInitials, packageValues, parseReportTime } from '../starrez-logger/src/core/format.js';
+import { nameVariants, redactText } from '../starrez-logger/src/core/redact.js';
+import { formatRoom, parseRoomCode, validateRoomFormat } from '../starrez-logger/src/core/residences.js';
+import { renderTemplate, validateTemplate, WORKFLOW_TEMPLATES } from '../starrez-logger/src/core/templates.js';
+
+describe('names', () => {
+    it('builds initials from "Last, First" and "First Last"', () => {
+        expect(getInitials('Nguyen, Sam')).toBe('S.N');
+        expect(getInitials('Okafor, Chidi Ada')).toBe('CA.O');
+        expect(getInitials('Sam Nguyen')).toBe('S.N');
+        expect(getInitials('Cher')).toBe('C.X');
+        expect(getInitials(null)).toBe('X.X');
+    });
+
+    it('shows "Last, First" as "First Last"', () => {
+        expect(formatDisplayName('Nguyen, Sam')).toBe('Sam Nguyen');
+        expect(formatDisplayName('Sam Nguyen')).toBe('Sam Nguyen');
+    });
+});
+
+describe('times', () => {
+    const afternoon = new Date(2026, 0, 23, 14, 5);
+    const midnight = new Date(2026, 0, 23, 0, 30);
+
+    it('formats the log time and date', () => {
+        expect(getCurrentTime(afternoon)).toBe('2:05 pm');
+        expect(getCurrentTime(midnight)).toBe('12:30 am');
+        expect(getFormattedDateTime(afternoon)).toBe('1/23/2026 2:05p.m.');
+    });
+
+    it('reads report times with or without a date', () => {
+        expect(parseReportTime('1/23/2026 2:30 PM')).toEqual(new Date(2026, 0, 23, 14, 30));
+        expect(parseReportTime('received 1/23/2026 11:00a.m.')).toEqual(new Date(2026, 0, 23, 11, 0));
+        expect(parseReportTime('9:15 pm').getHours()).toBe(21);
+        expect(parseReportTime('no time here')).toBeNull();
+    });
+});
+
+describe('package values', () => {
+    it('pluralises the package word', () => {
+        expect(packageValues(1)).toEqual({ count: 1, pkgWord: 'pkg' });
+        expect(packageValues(3)).toEqual({ count: 3, pkgWord: 'pkgs' });
+    });
+});
+
+describe('spreadsheet output', () => {
+    it('writes cells in column order and escapes HTML', () => {
+        const { html, tsv } = buildSpreadsheetOutput(['initials', 'room', 'missing'], [
+            { initials: 'S.N', room: 'UWP-BECK-204a' },
+            { initials: '<b>', room: 'a\tb\nc' }
+        ]);
+        expect(tsv).toBe('S.N\tUWP-BECK-204a\t\n<b>\ta b c\t');
+        expect(html).toBe('<table><tr><td>S.N</td><td>UWP-BECK-204a</td><td></td></tr><tr><td>&lt;b&gt;</td><td>a b c</td><td></td></tr></table>');
+    });
+});
+
+describe('room codes', () => {
+    it('splits codes into residence, wing, building, floor, unit and bed', () => {
+        expect(parseRoomCode('UWP-BECK-204a')).toEqual({ code: 'UWP-BECK-204a', residence: 'UWP', wing: '', building: 'BECK', floor: '2', unit: '204', bed: 'a' });
+        expect(parseRoomCode('REVN-B-112a')).toMatchObject({ residence: 'REV', wing: 'N', building: 'B' });
+        expect(parseRoomCode('MHR-214a')).toMatchObject({ residence: 'MHR', building: '', unit: '214' });
+        expect(parseRoomCode('not a room')).toBeNull();
+    });
+
+    it('formats rooms per residence and leaves unknown codes alone', () => {
+        const formats = { UWP: '{building} {unit}{bed}' };
+        expect(formatRoom('UWP-BECK-204a', formats)).toBe('BECK 204a');
+        expect(formatRoom('CLV-ER-110b', formats)).toBe('CLV-ER-110b');
+        expect(formatRoom('Lobby', formats)).toBe('Lobby');
+    });
+
+    it('rejects room formats that lose the room', () => {
+        expect(validateRoomFormat('{unit}{bed}')).toEqual([]);
+        expect(validateRoomFormat('{building}')).toHaveLength(1);
+        expect(validateRoomFormat('{floor')).not.toEqual([]);
+    });
+});
+
+describe('templates', () => {
+    it('ships valid default templates', () => {
+        Object.entries(WORKFLOW_TEMPLATES).forEach(([workflow, definition]) => {
+            expect(validateTemplate(definition.defaultTemplate, workflow)).toEqual([]);
+        });
+    });
+
+    it('fills known placeholders and keeps unknown ones', () => {
+        expect(renderTemplate('{initials} {room} {nope}', { initials: 'S.N', room: 'UWP-BECK-204a' })).toBe('S.N UWP-BECK-204a {nope}');
+    });
+
+    it('flags placeholders a workflow cannot fill', () => {
+        expect(validateTemplate('{studentNumber} {keyCodes}', 'package')).toEqual(['{keyCodes} is not available in the Package Log template']);
+        expect(validateTemplate('{room}', 'package')).toEqual(['Missing required placeholder {studentNumber}']);
+    });
+});
+
+describe('redaction', () => {
+    it('lists every way a name can appear', () => {
+        expect(nameVariants('Nguyen, Sam')).toEqual(['Nguyen, Sam', 'Sam Nguyen', 'Nguyen', 'Sam']);
+        expect(nameVariants(null)).toEqual([]);
+    });
+
+    it('replaces known values, then anything that still looks personal', () => {
+        const known = [[nameVariants('Nguyen, Sam'), 'NAME'], [['20991234'], 'STUDENT_NUMBER']];
+        expect(redactText('Sam Nguyen (20991234) sam.nguyen@example.ca', known)).toBe('[NAME] ([STUDENT_NUMBER]) [EMAIL]');
+        expect(redactText('Okafor, Chidi 20995678 CLV-ER-110b LOANER Key 1: 26AA21 Temp Card: T014 EntryID: 482913'))
+            .toBe('[NAME] [STUDENT_NUMBER] [ROOM] LOANER Key 1: [CODE] Temp Card: [CODE] EntryID: [NUMBER]');
+    });
+
+    it('keeps the labels and layout that explain a failure', () => {
+        expect(redactText('Room Space - Rez 360 - Student Number - 2 Parcels - UWP desk')).toBe('Room Space - Rez 360 - Student Number - 2 Parcels - UWP desk');
+    });
+});
@@ -0,0 +1,9 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+// Replaces the test document with an anonymised StarRez snapshot from test/fixtures
+export function loadFixture(name) {
+    const html = readFileSync(resolve('test/fixtures', name), 'utf8');
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    document.replaceChild(document.adoptNode(parsed.documentElement), document.documentElement);
+}
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadFixture } from './helpers.js';
+import { mergeSettings } from '../starrez-logger/src/core/settings.js';
+import { state } from '../starrez-logger/src/core/state.js';
+import { copyToClipboard } from '../starrez-logger/src/ui/clipboard.js';
+import { confirmWarning, openInteractivePreview } from '../starrez-logger/src/ui/popups.js';
+import { notify, showPreview } from '../starrez-logger/src/ui/toast.js';
+import { runWorkflow } from '../starrez-logger/src/workflows/runner.js';
+
+const notices = () => [...document.querySelectorAll('#pkg-logger-notices > div')];
+
+// jsdom has no execCommand; this one fires the copy event like Chrome does
+function stubExecCommand() {
+    const copied = {};
+    document.execCommand = vi.fn(() => {
+        const event = new Event('copy', { cancelable: true });
+        event.clipboardData = { setData: (type, value) => { copied[type] = value; } };
+        document.dispatchEvent(event);
+        return true;
+    });
+    return copied;
+}
+
+beforeEach(() => {
+    state.settings = mergeSettings();
+    state.deskIdentity = null;
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    delete document.execCommand;
+});
+
+describe('notifications', () => {
+    beforeEach(() => { document.body.innerHTML = ''; });
+
+    it('renders page data as text', () => {
+        showPreview('S.N (20991234) <img src=x onerror=alert(1)>', { fullName: '<b>Nguyen</b>, Sam', roomSpace: 'UWP-BECK-204a', staffName: 'Tremblay, Alex' });
+        const [notice] = notices();
+        expect(notice.querySelector('img, b')).toBeNull();
+        expect(notice.textContent).toContain('<img src=x onerror=alert(1)>');
+        expect(notice.textContent).toContain('Student: <b>Nguyen</b>, Sam');
+        expect(notice.dataset.type).toBe('success');
+    });
+
+    it('runs an action and closes', () => {
+        const run = vi.fn();
+        notify({ type: 'error', title: 'Nothing was copied', actions: [{ text: 'Retry', run }] });
+        notices()[0].querySelector('button:last-child').click();
+        expect(run).toHaveBeenCalledOnce();
+        expect(notices()).toHaveLength(0);
+    });
+
+    it('keeps the three newest', () => {
+        ['one', 'two', 'three', 'four'].forEach(title => notify({ type: 'warning', title }));
+        expect(notices().map(notice => notice.textContent.slice(1))).toEqual(['four', 'three', 'two']);
+    });
+});
+
+describe('warnings', () => {
+    beforeEach(() => { document.body.innerHTML = ''; });
+
+    it('leave Enter on a focused button to that button', async () => {
+        const pending = confirmWarning('Possible duplicate package', ['Nguyen, Sam was already logged at 2:31 pm by J.D this shift.']);
+        const focused = document.activeElement;
+        expect(focused.textContent).toBe('Cancel');
+        const enter = new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+        focused.dispatchEvent(enter);
+        expect(enter.defaultPrevented).toBe(false);
+        expect(document.getElementById('log-preview-popup')).not.toBeNull();
+        focused.click();
+        expect(await pending).toBe(false);
+    });
+
+    it('cancel on Enter anywhere else in the popup', async () => {
+        const pending = confirmWarning('Not a UWP room', ['Nguyen, Sam lives in CLV-ER-110b (Columbia Lake Village), but this is the UW Place desk.']);
+        const popup = document.getElementById('log-preview-popup');
+        popup.focus();
+        popup.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+        expect(await pending).toBe(false);
+        expect(document.getElementById('log-preview-popup')).toBeNull();
+    });
+});
+
+describe('interactive popups', () => {
+    beforeEach(() => { document.body.innerHTML = ''; });
+    const render = () => ({ success: true, logEntry: 'S.N (20991234) UWP-BECK-204a 1 pkg @ 2:30 pm - A.T' });
+
+    it('do not copy on Enter when Cancel is focused', async () => {
+        const pending = openInteractivePreview('Edit before copying', [], render);
+        const cancel = Array.from(document.querySelectorAll('#log-preview-popup button')).find(button => button.textContent === 'Cancel');
+        cancel.focus();
+        cancel.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+        cancel.click();
+        expect(await pending).toBeNull();
+    });
+
+    it('cancel the open popup when another one replaces it', async () => {
+        const first = openInteractivePreview('Edit before copying', [], render);
+        const warning = confirmWarning('Possible duplicate package', []);
+        expect(await first).toBeNull();
+        openInteractivePreview('Edit before copying', [], render);
+        expect(await warning).toBe(false);
+        expect(document.querySelectorAll('#log-preview-popup')).toHaveLength(1);
+    });
+});
+
+describe('clipboard', () => {
+    it('keeps tab-separated rows when only plain text can be written', async () => {
+        const written = [];
+        vi.stubGlobal('ClipboardItem', class {});
+        vi.stubGlobal('navigator', { clipboard: {
+            write: () => Promise.reject(new DOMException('Write permission denied.', 'NotAllowedError')),
+            writeText: (value) => { written.push(value); return Promise.resolve(); }
+        } });
+        state.settings = mergeSettings({ outputMode: 'tsv', columns: { package: ['initials', 'studentNumber'] } });
+
+        expect(await copyToClipboard('S.N (20991234)', { workflow: 'package', rows: [{ initials: 'S.N', studentNumber: '20991234' }] })).toBe(true);
+        expect(written).toEqual(['S.N\t20991234']);
+    });
+
+    it('falls back to execCommand when the Clipboard API is denied', async () => {
+        const denied = () => Promise.reject(new DOMException('Write permission denied.', 'NotAllowedError'));
+        vi.stubGlobal('navigator', { clipboard: { writeText: denied, write: denied } });
+        const copied = stubExecCommand();
+
+        expect(await copyToClipboard('S.N (20991234)')).toBe(true);
+        expect(copied).toEqual({ 'text/plain': 'S.N (20991234)' });
+
+        state.settings = mergeSettings({ outputMode: 'tsv' });
+        await copyToClipboard('S.N (20991234)', { workflow: 'package', rows: [{ initials: 'S.N', studentNumber: '20991234' }] });
+        expect(copied['text/html']).toContain('<td>20991234</td>');
+        expect(document.querySelector('textarea')).toBeNull();
+    });
+});
+
+describe('workflow errors', () => {
+    it('offer a retry when the profile has not loaded', async () => {
+        loadFixture('profile.html');
+        document.querySelector('.details').remove();
+        await runWorkflow('package');
+        const [notice] = notices();
+        expect(notice.dataset.type).toBe('error');
+        expect(notice.textContent).toContain('Student number not loaded yet — retry');
+        expect(Array.from(notice.querySelectorAll('button'), button => button.textContent)).toEqual(['×', 'Retry', 'Report problem']);
+    });
+});
@@ -0,0 +1,41 @@
+// @vitest-environment node
+// core/ must work without a DOM: these run in plain Node.
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { loadPolicy, mergeSettings } from '../starrez-logger/src/core/settings.js';
+
+describe('enabled workflows', () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    it('turns on workflows added after a stored list was saved', () => {
+        const settings = mergeSettings({ enabledWorkflows: ['package', 'lockout', 'label'] });
+        expect(settings.enabledWorkflows).toEqual(['package', 'lockout', 'label', 'keyReturn', 'accessCard', 'returnToSender']);
+        expect(mergeSettings({ enabledWorkflows: ['package', 'lockout'] }).disabledWorkflows).toEqual(['label']);
+    });
+
+    it('keeps workflows turned off on the options page off', () => {
+        const settings = mergeSettings({ enabledWorkflows: ['package', 'lockout', 'label'], disabledWorkflows: ['accessCard'] });
+        expect(settings.enabledWorkflows).toEqual(['package', 'lockout', 'label', 'keyReturn', 'returnToSender']);
+    });
+
+    it('shows exactly the workflows a policy lists', async () => {
+        vi.stubGlobal('chrome', { storage: { managed: { get: () => Promise.resolve({ enabledWorkflows: ['package'] }) } } });
+        const policy = await loadPolicy();
+        expect(policy.locked).toEqual(['disabledWorkflows']);
+        expect(mergeSettings(policy.values).enabledWorkflows).toEqual(['package']);
+    });
+});
+
+describe('stored values', () => {
+    it('fall back to the defaults when they are not a known choice', () => {
+        const settings = mergeSettings({ outputMode: 'xlsx', labelStock: '6x4' });
+        expect(settings.outputMode).toBe('text');
+        expect(settings.labelStock).toBe('4x2');
+        expect(mergeSettings({ outputMode: 'tsv', labelStock: '4x6' })).toMatchObject({ outputMode: 'tsv', labelStock: '4x6' });
+    });
+
+    it('fall back to the defaults below the policy minimums', () => {
+        expect(mergeSettings({ previewDurationSeconds: 0 }).previewDurationSeconds).toBe(4);
+        expect(mergeSettings({ previewDurationSeconds: 1, duplicateWindowMinutes: 0, deskTimeoutMinutes: -5 }))
+            .toMatchObject({ previewDurationSeconds: 1, duplicateWindowMinutes: 0, deskTimeoutMinutes: 15 });
+    });
+});
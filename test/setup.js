@@ -0,0 +1,12 @@
+// jsdom has no layout, so offsetParent is always null and every element would
+// look hidden to the extractors. Attached elements count as visible unless
+// they sit in a hidden tab panel, as in the browser. (Node-only suites have no
+// HTMLElement at all.)
+if (typeof HTMLElement !== 'undefined') {
+    Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+        configurable: true,
+        get() {
+            return this.isConnected && !this.closest('.ui-tabs-hide') ? this.parentElement : null;
+        }
+    });
+}
@@ -0,0 +1,243 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadFixture } from './helpers.js';
+import { mergeSettings } from '../starrez-logger/src/core/settings.js';
+import { state } from '../starrez-logger/src/core/state.js';
+import { parseReportRows } from '../starrez-logger/src/adapter/extractors.js';
+import { showBatchChecklist } from '../starrez-logger/src/ui/batch.js';
+import { createLogButtons } from '../starrez-logger/src/ui/buttons.js';
+import { showEditablePreview, showKeyReturnPicker } from '../starrez-logger/src/ui/popups.js';
+import { recordUsage } from '../starrez-logger/src/telemetry/storage.js';
+import { confirmNotDuplicate, findRecentEntry, getResidenceMismatch, recordRecentEntries, recordRecentEntry } from '../starrez-logger/src/workflows/guards.js';
+import { ACTIONS, generateWorkflowResult } from '../starrez-logger/src/workflows/registry.js';
+
+const available = () => Object.keys(ACTIONS).filter(id => ACTIONS[id].isAvailable());
+
+beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 0, 23, 14, 30));
+    state.settings = mergeSettings();
+    state.deskIdentity = null;
+});
+
+afterEach(() => vi.useRealTimers());
+
+describe('generators on a profile', () => {
+    beforeEach(() => loadFixture('profile.html'));
+
+    it('renders the package log', () => {
+        const result = generateWorkflowResult('package', 2);
+        expect(result.success).toBe(true);
+        expect(result.logEntry).toBe('S.N (20991234) UWP-BECK-204a 2 pkgs @ 2:30 pm - A.T');
+        expect(result.data).toMatchObject({ staffName: 'Tremblay, Alex', staffInitials: 'A.T' });
+    });
+
+    it('renders the lockout log with a reason placeholder for the picker', () => {
+        const result = generateWorkflowResult('lockout');
+        expect(result.logEntry).toBe('S.N (20991234) UWP-BECK-204a KC: 4471B, 26AA21; [Reason] - A.T');
+        expect(result.data.keyCodes).toEqual(['4471B', '26AA21']);
+    });
+
+    it('renders the package label', () => {
+        const result = generateWorkflowResult('label');
+        expect(result.logEntry).toBe('1/23/2026 2:30p.m.\n20991234\nSam Nguyen\nUWP-BECK-204a\nFDA: A.T');
+    });
+
+    it('uses the residence room format and the FDA signed in on desk', () => {
+        state.settings = mergeSettings({ roomFormats: { UWP: '{building} {unit}{bed}' } });
+        state.deskIdentity = { name: 'Jordan Diaz', initials: 'J.D' };
+        const result = generateWorkflowResult('package', 1);
+        expect(result.logEntry).toBe('S.N (20991234) BECK 204a 1 pkg @ 2:30 pm - J.D');
+        expect(result.values.residence).toBe('UWP');
+    });
+
+    it('fails cleanly without loaner keys', () => {
+        document.querySelector('.keys').remove();
+        expect(generateWorkflowResult('lockout')).toEqual({ success: false, error: 'No Loaner Keys found for this student', retryable: true });
+    });
+
+    it('says which field has not loaded yet', () => {
+        document.querySelector('.details').remove();
+        expect(generateWorkflowResult('package', 1)).toEqual({ success: false, error: 'Student number not loaded yet', retryable: true });
+        loadFixture('profile.html');
+        document.querySelector('.rez360').remove();
+        expect(generateWorkflowResult('label').error).toBe('Room not loaded yet');
+    });
+
+    it('offers the profile actions, minus disabled workflows', () => {
+        expect(available()).toEqual([
+            'copy-log', 'copy-all-packages', 'copy-lockout', 'print-label', 'copy-key-return', 'copy-access-card',
+            'copy-return-to-sender', 'show-sources', 'switch-staff', 'report-problem'
+        ]);
+        state.settings = mergeSettings({ disabledWorkflows: ['package', 'label', 'keyReturn', 'accessCard', 'returnToSender'] });
+        expect(available()).toEqual(['copy-lockout', 'show-sources', 'switch-staff', 'report-problem']);
+    });
+});
+
+describe('editable preview', () => {
+    beforeEach(() => loadFixture('profile.html'));
+
+    it('backdates a package across midnight', async () => {
+        vi.setSystemTime(new Date(2026, 0, 24, 0, 10));
+        const picked = showEditablePreview(generateWorkflowResult('package', 1));
+        const popup = document.getElementById('log-preview-popup');
+        const when = popup.querySelector('input[type="datetime-local"]');
+        expect(when.value).toBe('2026-01-24T00:10');
+        when.value = '2026-01-23T23:50';
+        popup.dispatchEvent(new Event('input'));
+        Array.from(popup.querySelectorAll('button')).find(button => button.textContent === 'Copy').click();
+        const { values, logEntry } = await picked;
+        expect(values.dateTime).toBe('1/23/2026 11:50p.m.');
+        expect(logEntry).toContain('@ 11:50 pm');
+    });
+});
+
+describe('desk workflows on a profile', () => {
+    beforeEach(() => loadFixture('profile.html'));
+
+    it('renders the key return log from the loaner keys', () => {
+        const result = generateWorkflowResult('keyReturn');
+        expect(result.logEntry).toBe('S.N (20991234) UWP-BECK-204a KC: 4471B, 26AA21 returned @ 2:30 pm - A.T');
+        expect(result.data.keyCodes).toEqual(['4471B', '26AA21']);
+    });
+
+    it('suggests the temp card shown on the profile', () => {
+        const result = generateWorkflowResult('accessCard');
+        expect(result.data.cardNumbers).toEqual(['T014']);
+        expect(result.logEntry).toBe('S.N (20991234) UWP-BECK-204a Temp card T014 [issued/returned] @ 2:30 pm - A.T');
+    });
+
+    it('renders return to sender with the parcel count and a reason placeholder', () => {
+        const result = generateWorkflowResult('returnToSender', 2);
+        expect(result.logEntry).toBe('S.N (20991234) UWP-BECK-204a 2 pkgs RTS: [Reason] @ 2:30 pm - A.T');
+        expect(ACTIONS['copy-return-to-sender'].getCount()).toBe(2);
+    });
+
+    it('only logs returned keys that are loaned to the student', async () => {
+        const picked = showKeyReturnPicker(generateWorkflowResult('keyReturn'));
+        const popup = document.getElementById('log-preview-popup');
+        const scan = popup.querySelector('input[type="text"]');
+        const type = (value) => { scan.value = value; scan.dispatchEvent(new Event('input', { bubbles: true })); };
+
+        type('26AA99');
+        expect(popup.textContent).toContain('26AA99 is not a loaner key for this student');
+        type('26aa21');
+        expect(scan.value).toBe('');
+        expect(popup.querySelector('input[value="26AA21"]').checked).toBe(true);
+
+        popup.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+        expect((await picked).logEntry).toBe('S.N (20991234) UWP-BECK-204a KC: 26AA21 returned @ 2:30 pm - A.T');
+    });
+
+    it('only offers each workflow where its section is on the profile', () => {
+        document.querySelector('.access-cards').remove();
+        document.querySelector('.parcels').remove();
+        expect(available()).not.toContain('copy-access-card');
+        expect(available()).not.toContain('copy-return-to-sender');
+        document.querySelector('.keys').remove();
+        expect(available()).not.toContain('copy-key-return');
+        expect(generateWorkflowResult('keyReturn')).toMatchObject({ success: false, error: 'No Loaner Keys found for this student' });
+    });
+
+    it('adds Return to Sender only while parcels are waiting', () => {
+        document.querySelector('.parcels span').textContent = '0 Parcels';
+        createLogButtons();
+        expect(document.getElementById('rts-btn')).toBeNull();
+        expect(available()).not.toContain('copy-return-to-sender');
+        document.querySelector('.parcels span').textContent = '1 Parcel';
+        createLogButtons();
+        expect(document.getElementById('rts-btn')).not.toBeNull();
+    });
+});
+
+describe('generators on reports', () => {
+    it('find no single student on a parcels report', () => {
+        loadFixture('parcels.html');
+        expect(generateWorkflowResult('package', 1)).toEqual({ success: false, error: 'Student name not loaded yet', retryable: true });
+        expect(available()).toEqual(['switch-staff', 'batch-log', 'report-problem']);
+        expect(ACTIONS['batch-log'].getCount()).toBe(2);
+    });
+
+    it('take a typed "Other" reason for a batch of lockouts', async () => {
+        loadFixture('loaner-keys.html');
+        const picked = showBatchChecklist(parseReportRows(), 'keys');
+        const popup = document.getElementById('log-preview-popup');
+        const other = popup.querySelector('input[name="batch-reason"][value="other"]');
+        const copy = Array.from(popup.querySelectorAll('button')).find(button => button.textContent === 'Copy');
+        other.checked = true;
+        popup.dispatchEvent(new Event('change'));
+        expect(popup.textContent).toContain('Type the reason under "Other" to continue');
+        other.parentElement.querySelector('input[type="text"]').value = 'Key bent';
+        popup.dispatchEvent(new Event('input'));
+        copy.click();
+        const result = await picked;
+        expect(result.valueRows.map(values => values.reason)).toEqual(['Key bent', 'Key bent']);
+        expect(result.logEntry).toContain('Key bent');
+    });
+
+    it('offer Batch Log on the loaner keys report only while lockouts are enabled', () => {
+        loadFixture('loaner-keys.html');
+        expect(available()).toContain('batch-log');
+        state.settings = mergeSettings({ enabledWorkflows: ['package', 'label'] });
+        expect(available()).not.toContain('batch-log');
+    });
+});
+
+// chrome.storage area whose reads and writes resolve later, like Chrome's
+function stubStorageArea() {
+    const stored = {};
+    const later = (value) => new Promise(resolve => setTimeout(() => resolve(value), 1));
+    return {
+        stored,
+        get: (key) => later({ [key]: structuredClone(stored[key]) }),
+        set: (items) => later(Object.assign(stored, structuredClone(items)))
+    };
+}
+
+describe('duplicate guard', () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    it('records every row of a batch', async () => {
+        vi.stubGlobal('chrome', { storage: { session: stubStorageArea() } });
+        const students = ['20991234', '20995678', '20990001', '20990002'];
+        await recordRecentEntries(students.map(studentNumber => ({ studentNumber, staffInitials: 'A.T' })), 'package');
+        await Promise.all([recordRecentEntry('20990003', 'package', 'A.T'), recordRecentEntry('20990004', 'package', 'J.D')]);
+        for (const studentNumber of [...students, '20990003', '20990004']) {
+            expect(await findRecentEntry(studentNumber, 'package')).toMatchObject({ workflow: 'package' });
+        }
+    });
+
+    it('wakes the service worker once, then warns when session storage stays closed', async () => {
+        const refused = () => Promise.reject(new Error('Access to storage is not allowed from this context.'));
+        const sendMessage = vi.fn(() => Promise.resolve(true));
+        vi.stubGlobal('chrome', { storage: { session: { get: refused } }, runtime: { sendMessage } });
+        document.body.innerHTML = '';
+
+        const pending = confirmNotDuplicate({ data: { studentNumber: '20991234', fullName: 'Nguyen, Sam' } }, 'package');
+        await vi.waitFor(() => expect(document.getElementById('log-preview-popup')).not.toBeNull());
+        expect(sendMessage).toHaveBeenCalledExactlyOnceWith({ type: 'open-session-storage' });
+        expect(document.getElementById('log-preview-popup').textContent).toContain('Could not check for duplicates');
+
+        document.getElementById('log-preview-popup').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        expect(await pending).toBe(false);
+    });
+});
+
+describe('residence check', () => {
+    it('flags known residences that are not the desk, and nothing else', () => {
+        loadFixture('profile.html');
+        expect(getResidenceMismatch('CLV-ER-110b')).toEqual({ desk: 'UWP', residence: 'CLV' });
+        expect(getResidenceMismatch('UWP-BECK-204a')).toBeNull();
+        expect(getResidenceMismatch('BH-204a')).toBeNull();
+    });
+});
+
+describe('usage counts', () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    it('keep every count when clicks overlap', async () => {
+        const local = stubStorageArea();
+        vi.stubGlobal('chrome', { storage: { local } });
+        await Promise.all([recordUsage('Tremblay, Alex', 'package'), recordUsage('Tremblay, Alex', 'package'), recordUsage('Tremblay, Alex', 'lockout', { amount: 3 })]);
+        expect(local.stored.usage['2026-01-23'].Day['Tremblay, Alex']).toEqual({ package: 2, lockout: 3 });
+    });
+});